@@ -0,0 +1,200 @@
+/**
+ * Static collision for the player.
+ *
+ * Colliders are axis-aligned boxes ({ type: 'box', min, max }), boxes turned
+ * about the vertical axis ({ type: 'obb', x, z, halfWidth, halfDepth, angle,
+ * minY, maxY }, e.g. a swinging door leaf) or upright cylinders
+ * ({ type: 'circle', x, z, radius, minY, maxY }) in world space.
+ * The player is a capsule standing on its feet, which on flat ground reduces to
+ * a circle in the XZ plane plus a height range. Contacts push the player out
+ * along the contact normal, so movement into a wall at an angle slides along it.
+ * A uniform grid over XZ keeps each check to the colliders nearby.
+ */
+
+const DEFAULT_CELL_SIZE = 4;
+const MAX_ITERATIONS = 4; // Resolve passes per step; corners need more than one
+
+export class CollisionWorld {
+    constructor({ cellSize = DEFAULT_CELL_SIZE } = {}) {
+        this.cellSize = cellSize;
+        this.colliders = new Map();
+        this.cells = new Map();
+        this.nextId = 1;
+    }
+
+    /** Registers a collider and returns its id. */
+    add(collider) {
+        const id = this.nextId++;
+        const entry = { ...collider, id, bounds: footprint(collider) };
+        this.colliders.set(id, entry);
+        this.forEachCell(entry.bounds, key => {
+            if (!this.cells.has(key)) this.cells.set(key, new Set());
+            this.cells.get(key).add(id);
+        });
+        return id;
+    }
+
+    remove(id) {
+        const entry = this.colliders.get(id);
+        if (!entry) return;
+        this.forEachCell(entry.bounds, key => this.cells.get(key)?.delete(id));
+        this.colliders.delete(id);
+    }
+
+    /** Replaces a collider's shape, e.g. when a door swings. Keeps the id. */
+    update(id, collider) {
+        const entry = this.colliders.get(id);
+        if (!entry) return;
+        this.forEachCell(entry.bounds, key => this.cells.get(key)?.delete(id));
+        const updated = { ...collider, id, name: collider.name ?? entry.name, bounds: footprint(collider) };
+        this.colliders.set(id, updated);
+        this.forEachCell(updated.bounds, key => {
+            if (!this.cells.has(key)) this.cells.set(key, new Set());
+            this.cells.get(key).add(id);
+        });
+    }
+
+    /** Colliders whose XZ footprint may overlap the rectangle. */
+    query(minX, minZ, maxX, maxZ) {
+        const found = new Set();
+        this.forEachCell({ minX, minZ, maxX, maxZ }, key => {
+            for (const id of this.cells.get(key) || []) found.add(id);
+        });
+        return [...found].map(id => this.colliders.get(id));
+    }
+
+    /**
+     * Moves a capsule from `position` by `delta` (both { x, y, z }, y at the
+     * feet) and returns where it ends up after sliding along what it hits.
+     * @param {object} capsule - { radius, height, stepHeight }: stepHeight is
+     *   how tall an obstacle can be and still be walked over
+     */
+    move(position, delta, { radius, height, stepHeight = 0.3 }) {
+        const result = { x: position.x, y: position.y, z: position.z };
+        const distance = Math.hypot(delta.x, delta.z);
+        // Sub-steps no longer than the radius so fast moves can't tunnel through thin walls
+        const steps = Math.max(1, Math.ceil(distance / radius));
+        for (let step = 0; step < steps; step++) {
+            result.x += delta.x / steps;
+            result.z += delta.z / steps;
+            this.resolve(result, radius, result.y + stepHeight, result.y + height);
+        }
+        return result;
+    }
+
+    resolve(point, radius, bottom, top) {
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            let pushed = false;
+            const nearby = this.query(point.x - radius, point.z - radius, point.x + radius, point.z + radius);
+            for (const collider of nearby) {
+                const { minY, maxY } = verticalRange(collider);
+                if (maxY <= bottom || minY >= top) continue;
+                const push = pushOut(point, radius, collider);
+                if (push) {
+                    point.x += push.x;
+                    point.z += push.z;
+                    pushed = true;
+                }
+            }
+            if (!pushed) return;
+        }
+    }
+
+    forEachCell({ minX, minZ, maxX, maxZ }, callback) {
+        const x0 = Math.floor(minX / this.cellSize);
+        const x1 = Math.floor(maxX / this.cellSize);
+        const z0 = Math.floor(minZ / this.cellSize);
+        const z1 = Math.floor(maxZ / this.cellSize);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cz = z0; cz <= z1; cz++) {
+                callback(`${cx},${cz}`);
+            }
+        }
+    }
+}
+
+function footprint(collider) {
+    if (collider.type === 'obb') {
+        const cos = Math.abs(Math.cos(collider.angle));
+        const sin = Math.abs(Math.sin(collider.angle));
+        const extentX = cos * collider.halfWidth + sin * collider.halfDepth;
+        const extentZ = sin * collider.halfWidth + cos * collider.halfDepth;
+        return {
+            minX: collider.x - extentX,
+            minZ: collider.z - extentZ,
+            maxX: collider.x + extentX,
+            maxZ: collider.z + extentZ
+        };
+    }
+    if (collider.type === 'circle') {
+        return {
+            minX: collider.x - collider.radius,
+            minZ: collider.z - collider.radius,
+            maxX: collider.x + collider.radius,
+            maxZ: collider.z + collider.radius
+        };
+    }
+    return { minX: collider.min.x, minZ: collider.min.z, maxX: collider.max.x, maxZ: collider.max.z };
+}
+
+function verticalRange(collider) {
+    if (collider.type === 'circle' || collider.type === 'obb') {
+        return { minY: collider.minY ?? -Infinity, maxY: collider.maxY ?? Infinity };
+    }
+    return { minY: collider.min.y, maxY: collider.max.y };
+}
+
+function pushOut(point, radius, collider) {
+    if (collider.type === 'circle') return pushOutOfCircle(point, radius, collider);
+    if (collider.type === 'obb') return pushOutOfRotatedBox(point, radius, collider);
+    return pushOutOfBox(point, radius, collider);
+}
+
+function pushOutOfCircle(point, radius, circle) {
+    const dx = point.x - circle.x;
+    const dz = point.z - circle.z;
+    const distance = Math.hypot(dx, dz);
+    const overlap = radius + circle.radius - distance;
+    if (overlap <= 0) return null;
+    if (distance === 0) return { x: overlap, z: 0 };
+    return { x: (dx / distance) * overlap, z: (dz / distance) * overlap };
+}
+
+function pushOutOfBox(point, radius, box) {
+    const closestX = Math.max(box.min.x, Math.min(point.x, box.max.x));
+    const closestZ = Math.max(box.min.z, Math.min(point.z, box.max.z));
+    const dx = point.x - closestX;
+    const dz = point.z - closestZ;
+    const distance = Math.hypot(dx, dz);
+
+    if (distance > 0) {
+        const overlap = radius - distance;
+        if (overlap <= 0) return null;
+        return { x: (dx / distance) * overlap, z: (dz / distance) * overlap };
+    }
+
+    // Centre inside the box: leave through the nearest side
+    const exits = [
+        { x: box.min.x - radius - point.x, z: 0 },
+        { x: box.max.x + radius - point.x, z: 0 },
+        { x: 0, z: box.min.z - radius - point.z },
+        { x: 0, z: box.max.z + radius - point.z }
+    ];
+    return exits.reduce((best, exit) =>
+        Math.abs(exit.x + exit.z) < Math.abs(best.x + best.z) ? exit : best);
+}
+
+/** Works in the box's own frame, where it is axis-aligned, then turns the push back. */
+function pushOutOfRotatedBox(point, radius, obb) {
+    const cos = Math.cos(obb.angle);
+    const sin = Math.sin(obb.angle);
+    const dx = point.x - obb.x;
+    const dz = point.z - obb.z;
+    const local = { x: dx * cos - dz * sin, z: dx * sin + dz * cos };
+    const push = pushOutOfBox(local, radius, {
+        min: { x: -obb.halfWidth, z: -obb.halfDepth },
+        max: { x: obb.halfWidth, z: obb.halfDepth }
+    });
+    if (!push) return null;
+    return { x: push.x * cos + push.z * sin, z: -push.x * sin + push.z * cos };
+}
@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+
+const SUN_DISTANCE = 25; // Directional light distance from the player, inside its shadow camera
+const NIGHT_SKY = new THREE.Color(0x0B1026);
+const TWILIGHT_SKY = new THREE.Color(0xF4976C);
+const DAY_SKY = new THREE.Color(0x87CEEB);
+const SUNRISE_LIGHT = new THREE.Color(0xFFB070);
+const NOON_LIGHT = new THREE.Color(0xFFFFFF);
+const MOON_LIGHT = new THREE.Color(0x8899CC);
+const NIGHT_AMBIENT = new THREE.Color(0x6677AA);
+const DAY_AMBIENT = new THREE.Color(0xFFFFFF);
+const NIGHT_CLOUDS = new THREE.Color(0x3A3F55);
+const WINDOW_GLOW = new THREE.Color(0xFFD27F);
+const LAMP_LIGHT_OFFSET = -0.12; // Point light below the bulb, out of the shade
+
+/**
+ * Time of day: moves the sun and moon, colors the sky and the light, and
+ * switches the lamps and window glow on at night. The hour comes from the
+ * game server's clock (setClock), which this runs forward between updates;
+ * without one it follows the local wall clock.
+ *
+ * Every lamp's bulb glows at night, but only the `maxLampLights` lamps nearest
+ * the player get a real point light. Each light costs every lit pixel, and a
+ * fixed number of them keeps Three.js from recompiling shaders as players walk
+ * between houses.
+ */
+export class DayNightCycle {
+    /**
+     * @param {object} options
+     * @param {THREE.Scene} options.scene
+     * @param {THREE.Mesh} options.sky - Sky dome
+     * @param {THREE.Material} [options.cloudMaterial]
+     * @param {THREE.AmbientLight} options.ambientLight
+     * @param {THREE.DirectionalLight} options.sunLight
+     * @param {Array} [options.lamps] - { bulb, color, intensity, distance } from the level
+     * @param {THREE.Mesh[]} [options.windows] - Window glass from the level
+     * @param {number} options.skyRadius - Radius of the sky dome
+     * @param {number} [options.maxLampLights] - Lamps lit by a point light at once
+     */
+    constructor({ scene, sky, cloudMaterial, ambientLight, sunLight, lamps = [], windows = [], skyRadius, maxLampLights = 4 }) {
+        this.scene = scene;
+        this.sky = sky;
+        this.cloudMaterial = cloudMaterial;
+        this.ambientLight = ambientLight;
+        this.sunLight = sunLight;
+        this.lamps = lamps;
+        this.windows = windows;
+        this.clock = null; // { hour, speed, receivedAt } from the server
+        this.lampsOn = null;
+
+        // Lamps don't move, so their places are measured once
+        this.lampPositions = lamps.map(({ bulb }) => {
+            const position = bulb.getWorldPosition(new THREE.Vector3());
+            position.y += LAMP_LIGHT_OFFSET;
+            return position;
+        });
+        this.lampLights = Array.from({ length: Math.min(maxLampLights, lamps.length) }, () => {
+            const light = new THREE.PointLight(0xFFFFFF, 0);
+            scene.add(light);
+            return light;
+        });
+        this.lampLightsCenter = null; // Where the lights were last handed out
+
+        // Sun and moon discs, inside the sky dome and beyond the fog
+        this.celestialDistance = skyRadius * 0.75;
+        this.sun = new THREE.Mesh(
+            new THREE.SphereGeometry(skyRadius * 0.03, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xFFF2A8, fog: false })
+        );
+        this.moon = new THREE.Mesh(
+            new THREE.SphereGeometry(skyRadius * 0.02, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xE8E8F0, fog: false })
+        );
+        scene.add(this.sun, this.moon);
+        scene.add(sunLight.target); // Aimed at the player, so shadows follow them
+
+        for (const glass of windows) {
+            if (glass.material.emissive) glass.material.emissive.copy(WINDOW_GLOW);
+            glass.material.emissiveIntensity = 0;
+        }
+        this.sunDirection = new THREE.Vector3();
+        this.moonDirection = new THREE.Vector3();
+        this.skyColor = new THREE.Color();
+    }
+
+    /** Follows the server clock: { hour, speed } as of now. */
+    setClock({ hour, speed }) {
+        this.clock = { hour, speed, receivedAt: performance.now() };
+    }
+
+    /** Hour of the day, 0 to 24 with a fraction. */
+    hour() {
+        if (!this.clock) {
+            const now = new Date();
+            return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+        }
+        const elapsedHours = (performance.now() - this.clock.receivedAt) / 3600000;
+        return (this.clock.hour + elapsedHours * this.clock.speed) % 24;
+    }
+
+    /** @param {THREE.Vector3} center - Player position; the sky and its light follow it */
+    update(center) {
+        // The sun rises in the east (+x) at 6, is highest at noon, to the south (+z)
+        const angle = (this.hour() - 6) / 24 * Math.PI * 2;
+        this.sunDirection.set(Math.cos(angle), Math.sin(angle), 0.35).normalize();
+        const elevation = this.sunDirection.y;
+        const night = 1 - smoothstep(-0.15, 0.1, elevation);
+
+        this.moonDirection.set(-this.sunDirection.x, -this.sunDirection.y, this.sunDirection.z);
+        this.sun.position.copy(this.sunDirection).multiplyScalar(this.celestialDistance).add(center);
+        this.sun.visible = elevation > -0.1;
+        this.moon.position.copy(this.moonDirection).multiplyScalar(this.celestialDistance).add(center);
+        this.moon.visible = elevation < 0.1;
+
+        // Sky: night blue, through sunrise/sunset orange, to day blue
+        if (elevation < 0) {
+            this.skyColor.lerpColors(NIGHT_SKY, TWILIGHT_SKY, smoothstep(-0.25, 0, elevation));
+        } else {
+            this.skyColor.lerpColors(TWILIGHT_SKY, DAY_SKY, smoothstep(0, 0.3, elevation));
+        }
+        this.sky.material.color.copy(this.skyColor);
+        this.scene.background = this.skyColor;
+        if (this.cloudMaterial) this.cloudMaterial.color.lerpColors(DAY_AMBIENT, NIGHT_CLOUDS, night);
+
+        // The directional light is the sun by day and the moon by night
+        const sunStrength = smoothstep(-0.05, 0.25, elevation);
+        if (sunStrength > 0) {
+            this.sunLight.position.copy(this.sunDirection).multiplyScalar(SUN_DISTANCE).add(center);
+            this.sunLight.color.lerpColors(SUNRISE_LIGHT, NOON_LIGHT, smoothstep(0, 0.4, elevation));
+            this.sunLight.intensity = 0.8 * sunStrength;
+        } else {
+            this.sunLight.position.copy(this.moonDirection).multiplyScalar(SUN_DISTANCE).add(center);
+            this.sunLight.color.copy(MOON_LIGHT);
+            this.sunLight.intensity = 0.15 * night;
+        }
+        this.sunLight.target.position.copy(center);
+        this.ambientLight.color.lerpColors(DAY_AMBIENT, NIGHT_AMBIENT, night);
+        this.ambientLight.intensity = 0.5 - 0.35 * night;
+
+        for (const glass of this.windows) {
+            glass.material.emissiveIntensity = 0.8 * night;
+        }
+        this.setLamps(night > 0.5);
+        if (this.lampsOn) this.placeLampLights(center);
+    }
+
+    setLamps(on) {
+        if (on === this.lampsOn) return;
+        this.lampsOn = on;
+        for (const { bulb } of this.lamps) {
+            bulb.material.emissiveIntensity = on ? 1 : 0;
+        }
+        if (!on) {
+            this.lampLights.forEach(light => { light.intensity = 0; });
+            this.lampLightsCenter = null;
+        }
+    }
+
+    /** Moves the point lights to the lamps nearest `center`, once it has moved a meter. */
+    placeLampLights(center) {
+        if (this.lampLightsCenter && this.lampLightsCenter.distanceToSquared(center) < 1) return;
+        this.lampLightsCenter = (this.lampLightsCenter || new THREE.Vector3()).copy(center);
+        const nearest = this.lamps
+            .map((lamp, i) => ({ lamp, position: this.lampPositions[i], distance: this.lampPositions[i].distanceToSquared(center) }))
+            .sort((a, b) => a.distance - b.distance);
+        this.lampLights.forEach((light, i) => {
+            const { lamp, position } = nearest[i];
+            light.position.copy(position);
+            light.color.set(lamp.color);
+            light.distance = lamp.distance;
+            light.intensity = lamp.intensity;
+        });
+    }
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,242 @@
+import { renderToolContent } from './rich-text.js';
+
+// String arguments with these names get a multi-line box
+const LONG_TEXT_FIELDS = ['body', 'content', 'message', 'prompt', 'text'];
+
+/**
+ * The small panel an in-world device opens. A device is a level object bound
+ * to one or more MCP tools (see `device` in levels/default.json):
+ *
+ *   { title: "Mailbox", tools: ["get_recent_emails", { tool: "send_email", label: "Send", arguments: {...} }] }
+ *
+ * Each tool gets a tab with a form built from its input schema; `arguments`
+ * prefill the form. Submitting calls the tool through /api/tools/call and shows
+ * the result. Tools no connected MCP server provides are shown as unavailable.
+ */
+export class DevicePanel {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.element - Container the panel renders into
+     * @param {string} options.backendUrl - Game server with /api/tools
+     * @param {Function} [options.onClose]
+     * @param {Function} [options.onSendToTv] - Called with a gallery image id from a result
+     */
+    constructor({ element, backendUrl, onClose, onSendToTv }) {
+        this.element = element;
+        this.backendUrl = backendUrl;
+        this.onClose = onClose;
+        this.onSendToTv = onSendToTv;
+        this.device = null;
+        this.tools = [];
+    }
+
+    get isOpen() {
+        return this.device !== null;
+    }
+
+    async open(device) {
+        this.device = device;
+        this.element.style.display = 'flex';
+        this.element.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'device-header';
+        header.textContent = device.title || device.id;
+        const tabs = document.createElement('div');
+        tabs.className = 'device-tabs';
+        this.body = document.createElement('div');
+        this.body.className = 'device-body';
+        this.body.textContent = 'Connecting…';
+        this.element.append(header, tabs, this.body);
+
+        // Fetched on every open: MCP servers may have connected or dropped since
+        try {
+            const response = await fetch(`${this.backendUrl}/api/tools`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            this.tools = (await response.json()).tools;
+        } catch (error) {
+            console.error("Error listing tools for device:", error);
+            this.tools = [];
+            this.body.textContent = `Could not reach the game server: ${error.message}`;
+            return;
+        }
+        if (this.device !== device) return; // Closed while loading
+
+        const entries = (device.tools || []).map(entry => typeof entry === 'string' ? { tool: entry } : entry);
+        entries.forEach((entry, index) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.textContent = entry.label || entry.tool;
+            if (!this.findTool(entry.tool)) {
+                tab.classList.add('unavailable');
+                tab.title = `${entry.tool} is not available`;
+            }
+            tab.addEventListener('click', () => this.showTool(entries, index));
+            tabs.appendChild(tab);
+        });
+        this.tabs = tabs;
+        if (entries.length > 0) {
+            this.showTool(entries, 0);
+        } else {
+            this.body.textContent = 'This device has no tools.';
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.device = null;
+        this.element.style.display = 'none';
+        this.element.innerHTML = '';
+        if (this.onClose) this.onClose();
+    }
+
+    findTool(name) {
+        return this.tools.find(tool => tool.name === name) || null;
+    }
+
+    showTool(entries, index) {
+        const entry = entries[index];
+        [...this.tabs.children].forEach((tab, tabIndex) => tab.classList.toggle('active', tabIndex === index));
+        this.body.innerHTML = '';
+
+        const tool = this.findTool(entry.tool);
+        if (!tool) {
+            this.body.textContent = `No connected MCP server provides ${entry.tool}. Add one to mcpServers in mcpgame.config.json.`;
+            return;
+        }
+
+        const form = document.createElement('form');
+        if (tool.description) {
+            const description = document.createElement('div');
+            description.className = 'device-description';
+            description.textContent = tool.description;
+            form.appendChild(description);
+        }
+        const schema = tool.inputSchema || {};
+        const required = schema.required || [];
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            const value = entry.arguments && entry.arguments[name] !== undefined ? entry.arguments[name] : property.default;
+            form.appendChild(buildField(name, property, required.includes(name), value));
+        }
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.textContent = 'Run';
+        form.appendChild(submit);
+
+        const result = document.createElement('div');
+        result.className = 'device-result';
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.callTool(tool, form, result, submit);
+        });
+        this.body.append(form, result);
+        const firstInput = form.querySelector('input, textarea, select');
+        (firstInput || submit).focus();
+    }
+
+    async callTool(tool, form, result, submit) {
+        let args;
+        try {
+            args = readForm(form, tool.inputSchema || {});
+        } catch (error) {
+            result.textContent = error.message;
+            return;
+        }
+
+        submit.disabled = true;
+        result.textContent = `Calling ${tool.name}…`;
+        try {
+            const response = await fetch(`${this.backendUrl}/api/tools/call`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: tool.name, arguments: args })
+            });
+            const body = await response.json().catch(() => ({ error: `HTTP error! status: ${response.status}` }));
+            if (!response.ok) {
+                const details = body.details ? `\n${body.details.join('\n')}` : '';
+                result.textContent = `${body.error}${details}`;
+                return;
+            }
+            result.textContent = `${body.result.isError ? 'Failed' : 'Done'} in ${body.durationMs} ms`;
+            result.appendChild(renderToolContent(body.result.content || [], {
+                baseUrl: this.backendUrl,
+                onSendToTv: this.onSendToTv
+            }));
+        } catch (error) {
+            console.error(`Error calling ${tool.name}:`, error);
+            result.textContent = `Could not call ${tool.name}: ${error.message}`;
+        } finally {
+            submit.disabled = false;
+        }
+    }
+}
+
+/** One labelled input for a schema property. */
+function buildField(name, property, required, value) {
+    const label = document.createElement('label');
+    label.className = 'device-field';
+    label.textContent = required ? `${name} *` : name;
+    if (property.description) label.title = property.description;
+
+    let input;
+    if (Array.isArray(property.enum)) {
+        input = document.createElement('select');
+        if (!required) input.appendChild(new Option('', ''));
+        property.enum.forEach(option => input.appendChild(new Option(String(option), String(option))));
+    } else if (property.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = value === true;
+    } else if (property.type === 'number' || property.type === 'integer') {
+        input = document.createElement('input');
+        input.type = 'number';
+        if (property.type === 'integer') input.step = '1';
+        if (property.minimum !== undefined) input.min = property.minimum;
+        if (property.maximum !== undefined) input.max = property.maximum;
+    } else if (property.type === 'array' || property.type === 'object' || LONG_TEXT_FIELDS.includes(name)) {
+        input = document.createElement('textarea');
+        input.rows = 3;
+    } else {
+        input = document.createElement('input');
+        input.type = 'text';
+    }
+    if (property.type !== 'boolean' && value !== undefined) {
+        input.value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    if (property.description && 'placeholder' in input) input.placeholder = property.description;
+    input.name = name;
+    label.appendChild(input);
+    return label;
+}
+
+/**
+ * Turns the form back into tool arguments, typed per the schema. Empty fields
+ * are left out; the server reports missing required ones.
+ */
+function readForm(form, schema) {
+    const args = {};
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        const input = form.elements[name];
+        if (!input) continue;
+        if (property.type === 'boolean') {
+            args[name] = input.checked;
+            continue;
+        }
+        const text = input.value.trim();
+        if (text === '') continue;
+        if (Array.isArray(property.enum)) {
+            args[name] = property.enum.find(option => String(option) === text);
+        } else if (property.type === 'number' || property.type === 'integer') {
+            args[name] = Number(text);
+        } else if (property.type === 'array' || property.type === 'object') {
+            try {
+                args[name] = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`${name} must be JSON: ${error.message}`);
+            }
+        } else {
+            args[name] = input.value;
+        }
+    }
+    return args;
+}
@@ -0,0 +1,78 @@
+import { measureCollider } from './level-loader.js';
+
+const SWING_SPEED = Math.PI * 0.75; // Radians per second; a full 90° swing takes about 0.7s
+
+/**
+ * Opens and closes the level's hinged doors (see buildDoor in level-loader.js).
+ * Doors swing towards their target angle each frame and move their collider
+ * with the leaf, so a closed door blocks the doorway and an open one blocks
+ * wherever it swung to. In multiplayer the server owns which doors are open;
+ * this class only animates what it is told.
+ */
+export class Doors {
+    /**
+     * @param {Array} levelDoors - `doors` from buildLevel
+     * @param {object} options
+     * @param {CollisionWorld} [options.collisions] - World the door colliders were added to
+     */
+    constructor(levelDoors, { collisions } = {}) {
+        this.collisions = collisions;
+        this.doors = new Map(levelDoors.map(door => [door.id, {
+            ...door,
+            open: false,
+            angle: 0,
+            colliderId: door.leaf.userData.colliderId
+        }]));
+    }
+
+    get(id) {
+        return this.doors.get(id) || null;
+    }
+
+    /**
+     * Sets a door's target state. It swings there over the next frames unless
+     * `instant` is set (e.g. for the state a player finds on joining).
+     */
+    setOpen(id, open, { instant = false } = {}) {
+        const door = this.doors.get(id);
+        if (!door) return;
+        door.open = !!open;
+        if (instant) {
+            door.angle = door.open ? door.openAngle : 0;
+            this.applyAngle(door);
+        }
+    }
+
+    /** Applies a server snapshot ({ id: open }); doors it doesn't list are closed. */
+    applySnapshot(states) {
+        for (const id of this.doors.keys()) {
+            this.setOpen(id, !!states[id], { instant: true });
+        }
+    }
+
+    /**
+     * Moves swinging doors towards their targets.
+     * @returns {boolean} Whether any door moved this frame
+     */
+    update(deltaTime) {
+        let moved = false;
+        for (const door of this.doors.values()) {
+            const target = door.open ? door.openAngle : 0;
+            if (door.angle === target) continue;
+            const step = SWING_SPEED * deltaTime;
+            door.angle = Math.abs(target - door.angle) <= step
+                ? target
+                : door.angle + Math.sign(target - door.angle) * step;
+            this.applyAngle(door);
+            moved = true;
+        }
+        return moved;
+    }
+
+    applyAngle(door) {
+        door.pivot.rotation.y = door.angle;
+        if (this.collisions && door.colliderId) {
+            this.collisions.update(door.colliderId, measureCollider(door.leaf, { type: 'obb' }));
+        }
+    }
+}
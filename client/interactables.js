@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+const DEFAULT_RANGE = 3.5; // Metres from the player's eyes to the object's bounds
+const OUTLINE_SCALE = 1.04;
+
+/**
+ * Everything the player can use with Enter. Each interactable is a scene
+ * object plus:
+ * - label: the prompt shown while it has focus (a string, or a function for
+ *   prompts that change, like "open"/"close" on a door)
+ * - range: how close the player must be, in metres
+ * - requireLookAt: only focus it while the crosshair (a ray from the centre of
+ *   the camera) is on it; otherwise being in range is enough
+ * - onInteract: called when Enter is pressed while it has focus
+ *
+ * Something under the crosshair wins over something that is merely nearby.
+ * The focused object gets an outline.
+ */
+export class Interactables {
+    /**
+     * @param {object} options
+     * @param {THREE.Camera} options.camera - First-person camera the crosshair ray starts from
+     * @param {number} [options.outlineColor]
+     */
+    constructor({ camera, outlineColor = 0xffff66 }) {
+        this.camera = camera;
+        this.entries = new Map();
+        this.focused = null;
+        this.raycaster = new THREE.Raycaster();
+        this.outlineMaterial = new THREE.MeshBasicMaterial({ color: outlineColor, side: THREE.BackSide });
+        this.outlines = [];
+    }
+
+    /**
+     * @param {object} interactable - { id, object, label, range?, requireLookAt?, onInteract }
+     * @returns {object} The registered entry
+     */
+    register({ id, object, label, range = DEFAULT_RANGE, requireLookAt = false, onInteract }) {
+        if (!object) throw new Error(`Interactable "${id}" has no object`);
+        if (this.entries.has(id)) this.unregister(id);
+        const entry = { id, object, label, range, requireLookAt, onInteract };
+        this.entries.set(id, entry);
+        return entry;
+    }
+
+    unregister(id) {
+        if (this.focused && this.focused.id === id) this.setFocus(null);
+        this.entries.delete(id);
+    }
+
+    /**
+     * Picks the focused interactable for a player whose eyes are at `position`.
+     * Pass null (e.g. while a menu is open) to clear the focus.
+     * @returns {object|null} The focused entry
+     */
+    update(position) {
+        this.setFocus(position ? this.findFocus(position) : null);
+        return this.focused;
+    }
+
+    findFocus(position) {
+        const lookAtEntries = [...this.entries.values()].filter(entry => entry.requireLookAt);
+        if (lookAtEntries.length > 0) {
+            this.camera.updateMatrixWorld();
+            this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+            const hits = this.raycaster.intersectObjects(lookAtEntries.map(entry => entry.object), true);
+            for (const hit of hits) {
+                const entry = lookAtEntries.find(candidate => isDescendant(hit.object, candidate.object));
+                if (entry && hit.distance <= entry.range) return entry;
+            }
+        }
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        const bounds = new THREE.Box3();
+        for (const entry of this.entries.values()) {
+            if (entry.requireLookAt) continue;
+            const distance = bounds.setFromObject(entry.object).distanceToPoint(position);
+            if (distance <= entry.range && distance < nearestDistance) {
+                nearest = entry;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /** Prompt for the focused interactable, or null. */
+    label() {
+        if (!this.focused) return null;
+        const { label } = this.focused;
+        return typeof label === 'function' ? label() : label;
+    }
+
+    /**
+     * Runs the focused interactable's handler.
+     * @returns {boolean} Whether anything had focus
+     */
+    interact() {
+        if (!this.focused) return false;
+        this.focused.onInteract();
+        return true;
+    }
+
+    setFocus(entry) {
+        if (entry === this.focused) return;
+        this.removeOutline();
+        this.focused = entry;
+        if (entry) this.addOutline(entry.object);
+    }
+
+    /** A slightly larger back-facing copy of each mesh shows as a rim around it. */
+    addOutline(object) {
+        const meshes = [];
+        object.traverse(child => {
+            if (child.isMesh && !child.userData.isOutline) meshes.push(child);
+        });
+        for (const mesh of meshes) {
+            const outline = new THREE.Mesh(mesh.geometry, this.outlineMaterial);
+            outline.scale.setScalar(OUTLINE_SCALE);
+            outline.userData.isOutline = true;
+            outline.raycast = () => {}; // Never picked by the crosshair
+            mesh.add(outline);
+            this.outlines.push(outline);
+        }
+    }
+
+    removeOutline() {
+        this.outlines.forEach(outline => outline.removeFromParent());
+        this.outlines = [];
+    }
+}
+
+function isDescendant(object, ancestor) {
+    for (let current = object; current; current = current.parent) {
+        if (current === ancestor) return true;
+    }
+    return false;
+}
@@ -0,0 +1,23 @@
+/**
+ * How ids are named in the copies of templates that a level's `lots` place.
+ * The browser builds the lots from this (client/level-loader.js) and the game
+ * server lists their doors and interactables from it (lib/level-info.js), so
+ * both always agree on names like `north-1/front-door`. No imports, so Node can
+ * load it too.
+ */
+
+/** A copy of a template (or any spec) with every id, and door `room`s, prefixed. */
+export function withIdPrefix(spec, prefix) {
+    const copy = { ...spec };
+    if (spec.id) copy.id = prefix + spec.id;
+    if (spec.room) copy.room = prefix + spec.room;
+    for (const key of ['rooms', 'doors', 'objects', 'children']) {
+        if (Array.isArray(spec[key])) copy[key] = spec[key].map(child => withIdPrefix(child, prefix));
+    }
+    return copy;
+}
+
+/** The prefix of every id in a lot's copy of its template. */
+export function lotPrefix(lot) {
+    return `${lot.id}/`;
+}
@@ -0,0 +1,415 @@
+import * as THREE from 'three';
+import { WorldGenerator, seededRandom } from './worldgen.js';
+import { WorldChunks } from './world-chunks.js';
+import { withIdPrefix, lotPrefix } from './level-ids.js';
+
+const LEVEL_VERSION = 1;
+const DEFAULT_WORLD_SIZE = 100;
+const DEFAULT_SEED = 'mcpgame';
+const DEG = Math.PI / 180;
+
+/**
+ * Builds the game world from a level file (see levels/default.json).
+ *
+ * A level lists rooms (interior bounds, floor height and their objects), doors,
+ * outdoor objects, and the terrain and what grows on it, generated from a
+ * seed (see client/worldgen.js) and streamed in chunks around the player
+ * (client/world-chunks.js). `templates` are reusable houses (rooms, doors and
+ * objects) that `lots` place around the world, each copy's ids prefixed with
+ * its lot's id. Objects are primitives ("box", "plane", "cone", "cylinder",
+ * "sphere", "group") or prefabs ("window", "gardenBed", "lamp"), positioned
+ * relative to their parent, with rotations in degrees. An object
+ * with an `id` can be looked up after loading; `collider` registers its
+ * bounds with the CollisionWorld passed to buildLevel. `interaction` and
+ * `device` are kept in userData for the game to make the object usable.
+ */
+
+/** Fetches and checks a level file. */
+export async function loadLevel(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load level ${url}: HTTP ${response.status}`);
+    }
+    const level = await response.json();
+    if (level.version !== LEVEL_VERSION) {
+        throw new Error(`Level ${url} has version ${level.version}; this game reads version ${LEVEL_VERSION}`);
+    }
+    return level;
+}
+
+const geometryFactories = {
+    box: ([width = 1, height = 1, depth = 1]) => new THREE.BoxGeometry(width, height, depth),
+    plane: ([width = 1, height = 1, widthSegments = 1, heightSegments = 1]) =>
+        new THREE.PlaneGeometry(width, height, widthSegments, heightSegments),
+    cone: ([radius = 1, height = 1, radialSegments = 8]) => new THREE.ConeGeometry(radius, height, radialSegments),
+    cylinder: ([radiusTop = 1, radiusBottom = 1, height = 1, radialSegments = 8]) =>
+        new THREE.CylinderGeometry(radiusTop, radiusBottom, height, radialSegments),
+    sphere: ([radius = 1, widthSegments = 8, heightSegments = 8]) => new THREE.SphereGeometry(radius, widthSegments, heightSegments)
+};
+
+/**
+ * Turns a level into Three.js objects added to `scene`, registering colliders
+ * with `collisions` (a CollisionWorld) when one is given. The terrain, trees,
+ * rocks and flowers come from `seed` (the server's, so all players share one
+ * world), else the level's `world.seed`; they load as the returned `chunks`
+ * is updated with the player's position.
+ * @returns {{ worldSize: number|null, seed: string|number, terrain: WorldGenerator,
+ *   chunks: WorldChunks, spawn: object, objects: Map<string, THREE.Object3D>,
+ *   colliders: Array, rooms: Array, doors: Array, lamps: Array, windows: THREE.Mesh[] }}
+ */
+export function buildLevel(scene, level, { collisions, seed } = {}) {
+    const world = level.world || {};
+    const worldSize = world.size === undefined ? DEFAULT_WORLD_SIZE : world.size || null; // null: endless
+    seed = seed ?? world.seed ?? DEFAULT_SEED;
+    const builder = new LevelBuilder(level, { seed });
+
+    // The level itself, then each lot's copy of its template
+    const sites = [{ parent: scene, level, lot: null }];
+    for (const lot of level.lots || []) {
+        const template = (level.templates || {})[lot.template];
+        if (!template) throw new Error(`Lot ${lot.id} uses unknown template "${lot.template}"`);
+        const group = new THREE.Group();
+        group.name = lot.id;
+        group.position.set(lot.position[0], 0, lot.position[1]);
+        group.rotation.y = (lot.rotation || 0) * DEG;
+        scene.add(group);
+        builder.objects.set(lot.id, group);
+        sites.push({ parent: group, level: withIdPrefix(template, lotPrefix(lot)), lot });
+    }
+
+    const rooms = [];
+    const doors = [];
+    for (const { parent, level: site, lot } of sites) {
+        for (const room of site.rooms || []) {
+            const group = new THREE.Group();
+            group.name = room.id;
+            group.position.fromArray(room.position || [0, 0, 0]);
+            (room.objects || []).forEach(spec => group.add(builder.build(spec)));
+            parent.add(group);
+            builder.objects.set(room.id, group);
+            rooms.push({ id: room.id, group, ...lotBounds(room.bounds, lot), floorHeight: room.floorHeight || 0 });
+        }
+
+        for (const spec of site.doors || []) {
+            const door = builder.buildDoor(spec);
+            (spec.room ? builder.objects.get(spec.room) || parent : parent).add(door.frame);
+            doors.push({ id: spec.id, room: spec.room, ...door });
+        }
+
+        (site.objects || []).forEach(spec => parent.add(builder.build(spec)));
+    }
+
+    // Colliders are measured in world space, so parents must be placed first
+    scene.updateMatrixWorld(true);
+    const colliders = builder.addColliders(collisions);
+
+    // Every lot's yard is level and kept clear of trees
+    const yards = (level.lots || []).map(lot => ({ center: lot.position, radius: lot.yard ?? 12, falloff: 8 }));
+    const scatter = world.scatter || {};
+    const terrain = new WorldGenerator({
+        seed,
+        size: worldSize,
+        terrain: world.terrain && { ...world.terrain, flatten: [...(world.terrain.flatten || []), ...yards] },
+        scatter: { ...scatter, exclude: [...(scatter.exclude || []), ...yards] }
+    });
+    const { y: groundY = -0.2, ...look } = world.ground || {};
+    const chunks = new WorldChunks({
+        scene,
+        generator: terrain,
+        collisions,
+        ...world.chunks,
+        groundMaterial: createMaterial({ color: '#7CFC00', roughness: 0.8, metalness: 0.2, ...look }),
+        groundY,
+        terrain: world.terrain,
+        scatter
+    });
+
+    return {
+        worldSize,
+        seed,
+        terrain,
+        chunks,
+        spawn: world.spawn || { position: [0, 0], lookAt: [0, -1] },
+        objects: builder.objects,
+        colliders,
+        rooms,
+        doors,
+        lamps: builder.lamps,
+        windows: builder.windows
+    };
+}
+
+/** A room's { min, max } bounds in world space, for a room in a lot turned a multiple of 90 degrees. */
+function lotBounds({ min, max }, lot) {
+    if (!lot) return { min, max };
+    const angle = (lot.rotation || 0) * DEG;
+    const cos = Math.round(Math.cos(angle));
+    const sin = Math.round(Math.sin(angle));
+    const corners = [[min[0], min[1]], [max[0], max[1]]].map(([x, z]) => [
+        lot.position[0] + x * cos + z * sin,
+        lot.position[1] - x * sin + z * cos
+    ]);
+    return {
+        min: [Math.min(corners[0][0], corners[1][0]), Math.min(corners[0][1], corners[1][1])],
+        max: [Math.max(corners[0][0], corners[1][0]), Math.max(corners[0][1], corners[1][1])]
+    };
+}
+
+/**
+ * Builds one object from a level-file spec outside a level, e.g. an object
+ * spawned while the game runs, and adds it to `parent`.
+ * @returns {{ object: THREE.Object3D, colliders: Array }}
+ */
+export function buildObject(parent, spec, { collisions } = {}) {
+    const builder = new LevelBuilder({});
+    const object = builder.build(spec);
+    parent.add(object);
+    object.updateMatrixWorld(true);
+    return { object, colliders: builder.addColliders(collisions) };
+}
+
+class LevelBuilder {
+    constructor(level, { seed = DEFAULT_SEED } = {}) {
+        this.random = seededRandom(seed, 'objects'); // For prefab details such as garden bed flowers
+        this.palette = level.materials || {};
+        this.materials = new Map();
+        this.objects = new Map();
+        this.colliderSources = [];
+        this.lamps = []; // { bulb, color, intensity, distance }, switched on at night
+        this.windows = []; // Glass panes, which glow at night
+    }
+
+    /** Named palette entries are shared; inline specs get their own material. */
+    material(spec = {}) {
+        if (typeof spec === 'string') {
+            if (!this.materials.has(spec)) {
+                if (!this.palette[spec]) throw new Error(`Unknown material "${spec}"`);
+                this.materials.set(spec, createMaterial(this.palette[spec]));
+            }
+            return this.materials.get(spec);
+        }
+        return createMaterial(spec);
+    }
+
+    build(spec) {
+        let object;
+        if (spec.type === 'group') {
+            object = new THREE.Group();
+        } else if (spec.type === 'window') {
+            object = this.buildWindow(spec);
+        } else if (spec.type === 'gardenBed') {
+            object = this.buildGardenBed(spec);
+        } else if (spec.type === 'lamp') {
+            object = this.buildLamp(spec);
+        } else if (geometryFactories[spec.type]) {
+            object = new THREE.Mesh(geometryFactories[spec.type](spec.size || []), this.material(spec.material));
+            object.castShadow = !!spec.castShadow;
+            object.receiveShadow = !!spec.receiveShadow;
+        } else {
+            throw new Error(`Unknown level object type "${spec.type}"${spec.id ? ` (${spec.id})` : ''}`);
+        }
+
+        place(object, spec);
+        if (spec.id) {
+            object.name = spec.id;
+            this.objects.set(spec.id, object);
+        }
+        if (spec.interaction) object.userData.interaction = spec.interaction;
+        if (spec.device) object.userData.device = { id: spec.id, ...spec.device };
+        if (spec.collider) {
+            this.colliderSources.push({ object, spec: typeof spec.collider === 'string' ? { type: spec.collider } : spec.collider });
+        }
+        (spec.children || []).forEach(child => object.add(this.build(child)));
+        return object;
+    }
+
+    /** Measures the colliders of everything built, registering them with `collisions` if given. */
+    addColliders(collisions) {
+        return this.colliderSources.map(({ object, spec }) => {
+            const collider = measureCollider(object, spec);
+            if (collisions) {
+                collider.id = collisions.add(collider);
+                object.userData.colliderId = collider.id; // Lets moving objects such as doors update theirs
+            }
+            return collider;
+        });
+    }
+
+    /**
+     * A door leaf hung from a hinge on its left or right edge. `position` and
+     * `rotation` place the closed door; `openAngle` (degrees, default 90) is how
+     * far it swings, and its sign picks the direction. The leaf gets a rotated
+     * box collider unless `collider` is false.
+     * @returns {{ frame: THREE.Group, pivot: THREE.Group, leaf: THREE.Mesh, openAngle: number }}
+     */
+    buildDoor(spec) {
+        const [width = 1] = spec.size || [];
+        const hingeSide = spec.hinge === 'right' ? 1 : -1;
+
+        // frame: the doorway itself; pivot: turns about the hinge; leaf: the door
+        const frame = new THREE.Group();
+        place(frame, { position: spec.position, rotation: spec.rotation });
+        const pivot = new THREE.Group();
+        pivot.position.x = hingeSide * width / 2;
+        frame.add(pivot);
+
+        const { position, rotation, collider, ...leafSpec } = spec;
+        const leaf = this.build({ ...leafSpec, type: 'box' });
+        leaf.position.x = -hingeSide * width / 2;
+        pivot.add(leaf);
+        if (spec.knob) {
+            const knob = new THREE.Mesh(
+                new THREE.SphereGeometry(spec.knob.radius || 0.1, 8, 8),
+                this.material(spec.knob.material || { color: '#FFD700', metalness: 0.8 })
+            );
+            knob.position.fromArray(spec.knob.position);
+            leaf.add(knob);
+        }
+        if (collider !== false) {
+            this.colliderSources.push({ object: leaf, spec: { type: 'obb' } });
+        }
+        return { frame, pivot, leaf, openAngle: (spec.openAngle ?? 90) * DEG };
+    }
+
+    buildWindow(spec) {
+        const [width, height] = spec.size || [1.5, 1.5];
+        const windowGroup = new THREE.Group();
+
+        const frame = new THREE.Mesh(
+            new THREE.BoxGeometry(width, height, 0.1),
+            this.material(spec.frameMaterial || { color: '#8B4513' })
+        );
+        windowGroup.add(frame);
+
+        const glass = new THREE.Mesh(
+            new THREE.PlaneGeometry(width - 0.2, height - 0.2),
+            this.material(spec.glassMaterial || { color: '#ADD8E6', transparent: true, opacity: 0.7 })
+        );
+        glass.position.z = 0.06;
+        windowGroup.add(glass);
+        this.windows.push(glass);
+        return windowGroup;
+    }
+
+    /**
+     * A ceiling lamp: a shade with a bulb. Lamps start off; `intensity`
+     * (candela, default 8), `distance` (default 12) and `color` are its light
+     * when on, which the day/night cycle gives only the lamps nearest the player.
+     */
+    buildLamp(spec) {
+        const color = spec.color || '#FFE8C0';
+        const intensity = spec.intensity ?? 8;
+        const lamp = new THREE.Group();
+
+        const shade = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.1, 0.3, 0.25, 12, 1, true),
+            this.material(spec.shadeMaterial || { color: '#EEEEEE', side: THREE.DoubleSide })
+        );
+        lamp.add(shade);
+
+        const bulb = new THREE.Mesh(
+            new THREE.SphereGeometry(0.09, 8, 8),
+            new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0 })
+        );
+        bulb.position.y = -0.08;
+        lamp.add(bulb);
+
+        this.lamps.push({ bulb, color, intensity, distance: spec.distance ?? 12 });
+        return lamp;
+    }
+
+    buildGardenBed(spec) {
+        const [width, depth] = spec.size || [3, 2];
+        const colors = spec.flowerColors || ['#FF0000', '#FFFF00'];
+        const bed = new THREE.Group();
+
+        const dirt = new THREE.Mesh(new THREE.BoxGeometry(width, 0.2, depth), this.material({ color: '#654321' }));
+        dirt.position.y = 0.1;
+        dirt.receiveShadow = true;
+        bed.add(dirt);
+
+        const stemMaterial = this.material({ color: '#228B22' });
+        const headMaterials = colors.map(color => this.material({ color }));
+        const numFlowers = Math.floor((width * depth) / 0.5);
+        for (let i = 0; i < numFlowers; i++) {
+            const flowerX = (this.random() - 0.5) * (width - 0.2);
+            const flowerZ = (this.random() - 0.5) * (depth - 0.2);
+
+            const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.3, 8), stemMaterial);
+            stem.position.set(flowerX, 0.25, flowerZ);
+            stem.castShadow = true;
+            bed.add(stem);
+
+            const head = new THREE.Mesh(
+                new THREE.SphereGeometry(0.08, 8, 8),
+                headMaterials[Math.floor(this.random() * headMaterials.length)]
+            );
+            head.position.set(flowerX, 0.4, flowerZ);
+            head.castShadow = true;
+            bed.add(head);
+        }
+        return bed;
+    }
+}
+
+/**
+ * World-space collider for an object: its bounding box, its box turned with
+ * the object about the vertical axis ({ type: 'obb' }), or an upright circle
+ * around its origin ({ type: 'circle', radius, height }).
+ */
+export function measureCollider(object, spec = { type: 'box' }) {
+    object.updateWorldMatrix(true, true);
+    if (spec.type === 'obb') {
+        // Measured from the object's own geometry, so only tilts about Y are kept
+        object.geometry.computeBoundingBox();
+        const local = object.geometry.boundingBox;
+        const scale = object.getWorldScale(new THREE.Vector3());
+        const size = local.getSize(new THREE.Vector3()).multiply(scale);
+        const center = object.localToWorld(local.getCenter(new THREE.Vector3()));
+        const rotation = new THREE.Euler().setFromQuaternion(object.getWorldQuaternion(new THREE.Quaternion()), 'YXZ');
+        return {
+            name: object.name,
+            type: 'obb',
+            x: center.x,
+            z: center.z,
+            halfWidth: size.x / 2,
+            halfDepth: size.z / 2,
+            angle: rotation.y,
+            minY: center.y - size.y / 2,
+            maxY: center.y + size.y / 2
+        };
+    }
+    if (spec.type === 'circle') {
+        const center = object.getWorldPosition(new THREE.Vector3());
+        return {
+            name: object.name,
+            type: 'circle',
+            x: center.x,
+            z: center.z,
+            radius: spec.radius,
+            minY: center.y,
+            maxY: center.y + (spec.height ?? Infinity)
+        };
+    }
+    const box = new THREE.Box3().setFromObject(object);
+    return { name: object.name, type: 'box', min: box.min, max: box.max };
+}
+
+function createMaterial({ type = 'standard', ...options }) {
+    const MaterialClass = type === 'basic' ? THREE.MeshBasicMaterial : THREE.MeshStandardMaterial;
+    const material = new MaterialClass();
+    for (const [key, value] of Object.entries(options)) {
+        if (key === 'color') {
+            material.color.set(value);
+        } else if (key !== 'comment') {
+            material[key] = value;
+        }
+    }
+    return material;
+}
+
+function place(object, spec) {
+    if (spec.position) object.position.fromArray(spec.position);
+    if (spec.rotation) object.rotation.set(spec.rotation[0] * DEG, spec.rotation[1] * DEG, spec.rotation[2] * DEG);
+    if (spec.scale) object.scale.fromArray(spec.scale);
+}
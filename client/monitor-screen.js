@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+const CANVAS_WIDTH = 512;
+const CANVAS_HEIGHT = 320;
+const FONT_SIZE = 14;
+const LINE_HEIGHT = 17;
+const PADDING = 8;
+const HEADER_HEIGHT = 22;
+const MAX_LINES = 40;
+
+/**
+ * A computer monitor that shows a terminal transcript, drawn on a canvas
+ * texture. The local terminal writes lines as they appear (and rewrites a
+ * streaming answer as it grows); other players' terminals arrive whole via
+ * setScreen. Redraws happen in update(), at most once per frame.
+ */
+export class MonitorScreen {
+    /**
+     * @param {THREE.Mesh} mesh - The screen plane
+     */
+    constructor(mesh) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = CANVAS_WIDTH;
+        this.canvas.height = CANVAS_HEIGHT;
+        this.context = this.canvas.getContext('2d');
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        mesh.material = new THREE.MeshBasicMaterial({ map: this.texture });
+
+        this.entries = new Map(); // key -> { sender, text }, in order written
+        this.user = null; // Who is at the terminal, if anyone
+        this.dirty = true;
+    }
+
+    /**
+     * Adds a line, or replaces the line written earlier with the same key
+     * (e.g. the log element of an answer that is still streaming).
+     */
+    write(key, sender, text) {
+        this.entries.set(key, { sender, text });
+        while (this.entries.size > MAX_LINES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.dirty = true;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.dirty = true;
+    }
+
+    setUser(user) {
+        this.user = user;
+        this.dirty = true;
+    }
+
+    /** Shows another player's terminal: { user, lines: [{ sender, text }] }. */
+    setScreen({ user, lines }) {
+        this.entries = new Map(lines.map((line, index) => [index, { sender: line.sender, text: line.text }]));
+        this.user = user;
+        this.dirty = true;
+    }
+
+    /** The transcript as sent to other players. */
+    lines() {
+        return [...this.entries.values()];
+    }
+
+    update() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        this.draw();
+        this.texture.needsUpdate = true;
+    }
+
+    draw() {
+        const ctx = this.context;
+        ctx.fillStyle = '#001100';
+        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+        ctx.font = `bold ${FONT_SIZE}px "Courier New", monospace`;
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#003300';
+        ctx.fillRect(0, 0, CANVAS_WIDTH, HEADER_HEIGHT);
+        ctx.fillStyle = '#00FF00';
+        ctx.fillText(`MCP TERMINAL${this.user ? ` - ${this.user}` : ''}`, PADDING, 4);
+
+        ctx.font = `${FONT_SIZE}px "Courier New", monospace`;
+        const columns = Math.floor((CANVAS_WIDTH - PADDING * 2) / ctx.measureText('M').width);
+        const rows = Math.floor((CANVAS_HEIGHT - HEADER_HEIGHT - PADDING * 2) / LINE_HEIGHT);
+
+        // Wrap everything, then show the bottom of it like a scrolled terminal
+        const wrapped = [];
+        for (const { sender, text } of this.entries.values()) {
+            wrapped.push(...wrapText(`${sender}: ${text}`, columns));
+        }
+        if (!this.user && wrapped.length === 0) {
+            wrapped.push('Walk up and press Enter to use the terminal.');
+        }
+        wrapped.slice(-rows).forEach((line, index) => {
+            ctx.fillText(line, PADDING, HEADER_HEIGHT + PADDING + index * LINE_HEIGHT);
+        });
+    }
+}
+
+/** Splits text into lines of at most `columns` characters, breaking at spaces where possible. */
+export function wrapText(text, columns) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let rest = paragraph;
+        while (rest.length > columns) {
+            const space = rest.lastIndexOf(' ', columns);
+            const cut = space > 0 ? space : columns;
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut).replace(/^ /, '');
+        }
+        lines.push(rest);
+    }
+    return lines;
+}
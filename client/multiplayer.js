@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+
+const SEND_INTERVAL = 100; // ms between local state updates
+const INTERPOLATION_DELAY = 150; // Render remote players this far in the past (ms)
+const MAX_SAMPLES = 20;
+const AVATAR_HEIGHT = 1.7; // Matches the eye height players report
+
+/**
+ * WebSocket connection to the game server's /ws endpoint.
+ * Listeners registered with on(type, handler) receive server messages by type.
+ * Reconnects with backoff and re-joins under the same name.
+ */
+export class MultiplayerClient {
+    constructor({ url, name }) {
+        this.url = url;
+        this.name = name;
+        this.id = null;
+        this.socket = null;
+        this.listeners = new Map();
+        this.lastSentAt = 0;
+        this.retryDelay = 1000;
+    }
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            this.retryDelay = 1000;
+            this.send({ type: 'join', name: this.name });
+        });
+
+        this.socket.addEventListener('message', event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn("Ignoring malformed multiplayer message:", event.data);
+                return;
+            }
+            if (message.type === 'welcome') {
+                this.id = message.id;
+                console.log(`Joined multiplayer as ${this.name} (${this.id})`);
+            } else if (message.type === 'error') {
+                console.warn("Multiplayer server error:", message.message);
+            }
+            for (const handler of this.listeners.get(message.type) || []) {
+                handler(message);
+            }
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.id = null;
+            this.emitLocal('disconnected');
+            setTimeout(() => this.connect(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+        });
+    }
+
+    on(type, handler) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(handler);
+    }
+
+    emitLocal(type) {
+        for (const handler of this.listeners.get(type) || []) {
+            handler({ type });
+        }
+    }
+
+    get connected() {
+        return !!this.id && this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Reports the local player's pose, throttled to SEND_INTERVAL.
+     */
+    sendState(position, rotation) {
+        const now = performance.now();
+        if (!this.connected || now - this.lastSentAt < SEND_INTERVAL) return;
+        this.lastSentAt = now;
+        this.send({
+            type: 'state',
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: { x: rotation.x, y: rotation.y }
+        });
+    }
+}
+
+// Stable color per player id
+function colorForId(id) {
+    let hash = 0;
+    for (const char of id) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return new THREE.Color().setHSL((hash % 360) / 360, 0.6, 0.5);
+}
+
+function createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 32px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(name, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+    sprite.scale.set(1.2, 0.3, 1);
+    return sprite;
+}
+
+function createAvatar(player) {
+    const avatar = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({ color: colorForId(player.id) });
+
+    const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.3, 0.9, 4, 8), material);
+    body.position.y = 0.75;
+    body.castShadow = true;
+    avatar.add(body);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, 12, 12), material);
+    head.position.y = 1.5;
+    head.castShadow = true;
+    avatar.add(head);
+
+    // Small visor so you can tell which way someone is facing
+    const visor = new THREE.Mesh(
+        new THREE.BoxGeometry(0.3, 0.08, 0.1),
+        new THREE.MeshStandardMaterial({ color: 0x111111 })
+    );
+    visor.position.set(0, 1.52, -0.2);
+    avatar.add(visor);
+
+    const nameTag = createNameTag(player.name);
+    nameTag.position.y = 2.0;
+    avatar.add(nameTag);
+
+    return avatar;
+}
+
+function lerpAngle(a, b, t) {
+    let delta = (b - a) % (Math.PI * 2);
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    if (delta < -Math.PI) delta += Math.PI * 2;
+    return a + delta * t;
+}
+
+/**
+ * Renders other players as avatars with name tags. Snapshots are buffered and
+ * played back INTERPOLATION_DELAY behind real time so movement stays smooth
+ * between server ticks.
+ */
+export class RemotePlayers {
+    constructor(scene) {
+        this.scene = scene;
+        this.players = new Map(); // id -> { avatar, name, samples }
+    }
+
+    applySnapshot(players, selfId) {
+        const receivedAt = performance.now();
+        const seen = new Set();
+
+        for (const player of players) {
+            if (player.id === selfId) continue;
+            seen.add(player.id);
+
+            let remote = this.players.get(player.id);
+            if (!remote) {
+                remote = { avatar: createAvatar(player), name: player.name, samples: [] };
+                this.scene.add(remote.avatar);
+                this.players.set(player.id, remote);
+            }
+
+            remote.samples.push({
+                time: receivedAt,
+                position: new THREE.Vector3(player.position.x, player.position.y - AVATAR_HEIGHT, player.position.z),
+                rotationY: player.rotation.y
+            });
+            if (remote.samples.length > MAX_SAMPLES) remote.samples.shift();
+        }
+
+        // Anyone missing from a full snapshot has gone
+        for (const id of [...this.players.keys()]) {
+            if (!seen.has(id)) this.remove(id);
+        }
+    }
+
+    remove(id) {
+        const remote = this.players.get(id);
+        if (!remote) return;
+        this.scene.remove(remote.avatar);
+        remote.avatar.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        this.players.delete(id);
+    }
+
+    clear() {
+        for (const id of [...this.players.keys()]) this.remove(id);
+    }
+
+    update() {
+        const renderTime = performance.now() - INTERPOLATION_DELAY;
+
+        for (const remote of this.players.values()) {
+            const { samples, avatar } = remote;
+            if (samples.length === 0) continue;
+
+            // Find the two samples around renderTime; hold the newest if we run out
+            let from = samples[0];
+            let to = samples[samples.length - 1];
+            for (let i = 0; i < samples.length - 1; i++) {
+                if (samples[i].time <= renderTime && samples[i + 1].time >= renderTime) {
+                    from = samples[i];
+                    to = samples[i + 1];
+                    break;
+                }
+            }
+
+            const span = to.time - from.time;
+            const t = span > 0 ? THREE.MathUtils.clamp((renderTime - from.time) / span, 0, 1) : 1;
+            avatar.position.lerpVectors(from.position, to.position, t);
+            avatar.rotation.y = lerpAngle(from.rotationY, to.rotationY, t);
+        }
+    }
+}
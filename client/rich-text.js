@@ -0,0 +1,183 @@
+/**
+ * Rendering for the MCP terminal: a small markdown subset for model text and
+ * DOM for tool result content (text, images, resources, JSON).
+ * The terminal keeps `white-space: pre-wrap`, so line breaks stay as text.
+ */
+
+const JSON_COLLAPSE_LINES = 4; // Pretty-printed JSON longer than this starts collapsed
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/** Resolves server-relative links like /image/x.png against the backend. */
+function resolveUrl(url, baseUrl) {
+    if (url.startsWith('/')) return `${baseUrl}${url}`;
+    if (/^(https?:|data:image\/)/i.test(url)) return url;
+    return null; // javascript:, file: and friends are not followed
+}
+
+function renderInline(text, baseUrl) {
+    // Inline code is cut out first so nothing inside it is formatted
+    const codeSpans = [];
+    let html = escapeHtml(text).replace(/`([^`\n]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            const href = resolveUrl(url.replace(/&amp;/g, '&'), baseUrl);
+            return href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener">${label}</a>` : label;
+        })
+        .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, '$1<a href="$2" target="_blank" rel="noopener">$2</a>')
+        .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*([^*\n]+)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_([^_\n]+)_(?!\w)/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Markdown subset: fenced code blocks, headings, bullet lists, bold, italics,
+ * inline code and links. Returns an HTML string; all input is escaped.
+ */
+export function renderMarkdown(text, baseUrl = '') {
+    return text
+        .split(/```[^\n]*\n?/)
+        .map((part, index) => {
+            if (index % 2 === 1) {
+                return `<pre><code>${escapeHtml(part.replace(/\n$/, ''))}</code></pre>`;
+            }
+            return part
+                .split('\n')
+                .map(line => {
+                    const heading = line.match(/^#{1,6}\s+(.*)$/);
+                    if (heading) return `<strong>${renderInline(heading[1], baseUrl)}</strong>`;
+                    const bullet = line.match(/^(\s*)[-*]\s+(.*)$/);
+                    if (bullet) return `${bullet[1]}• ${renderInline(bullet[2], baseUrl)}`;
+                    return renderInline(line, baseUrl);
+                })
+                .join('\n');
+        })
+        .join('');
+}
+
+/** Returns the parsed value if `text` is a JSON object or array, else undefined. */
+function parseJson(text) {
+    const trimmed = text.trim();
+    if (!/^[[{]/.test(trimmed)) return undefined;
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function renderJson(value) {
+    const pretty = JSON.stringify(value, null, 2);
+    const details = document.createElement('details');
+    details.className = 'terminal-json';
+    details.open = pretty.split('\n').length <= JSON_COLLAPSE_LINES;
+    const summary = document.createElement('summary');
+    summary.textContent = Array.isArray(value) ? `JSON array (${value.length} items)` : `JSON object (${Object.keys(value).length} keys)`;
+    const pre = document.createElement('pre');
+    pre.textContent = pretty;
+    details.append(summary, pre);
+    return details;
+}
+
+function renderImage(item, { baseUrl, onSendToTv }) {
+    const figure = document.createElement('div');
+    figure.className = 'terminal-image';
+
+    const src = item.url ? resolveUrl(item.url, baseUrl) : `data:${item.mimeType || 'image/png'};base64,${item.data}`;
+    const link = document.createElement('a');
+    link.href = src;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = item.prompt || 'Tool image';
+    link.appendChild(img);
+    figure.appendChild(link);
+
+    // Only gallery images have an id the TV channel can show
+    if (item.imageId && onSendToTv) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = 'Send to TV';
+        button.addEventListener('click', () => onSendToTv(item.imageId));
+        figure.appendChild(button);
+    }
+    return figure;
+}
+
+function renderResource(item, options) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'terminal-resource';
+    const href = item.uri ? resolveUrl(item.uri, options.baseUrl) : null;
+    const label = document.createElement(href ? 'a' : 'span');
+    label.textContent = item.uri || 'resource';
+    if (href) {
+        label.href = href;
+        label.target = '_blank';
+        label.rel = 'noopener';
+    }
+    wrapper.appendChild(label);
+    if (item.mimeType) wrapper.append(` (${item.mimeType})`);
+
+    if (typeof item.size === 'number') {
+        wrapper.append(` - ${item.size} bytes`);
+    } else if (item.text) {
+        const json = parseJson(item.text);
+        if (json !== undefined) {
+            wrapper.appendChild(renderJson(json));
+        } else {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${item.text.length} characters`;
+            const pre = document.createElement('pre');
+            pre.textContent = item.text;
+            details.append(summary, pre);
+            wrapper.appendChild(details);
+        }
+    }
+    return wrapper;
+}
+
+/**
+ * Builds the DOM for MCP tool result content as sent by the game server.
+ * @param {Array} content - Items of type text, image ({ url, imageId } or { data }) or resource
+ * @param {object} options
+ * @param {string} options.baseUrl - Backend URL for server-relative links
+ * @param {Function} [options.onSendToTv] - Called with a gallery image id
+ * @returns {HTMLElement}
+ */
+export function renderToolContent(content, options) {
+    const container = document.createElement('div');
+    container.className = 'terminal-rich';
+    for (const item of content) {
+        if (item.type === 'text') {
+            const json = parseJson(item.text);
+            if (json !== undefined) {
+                container.appendChild(renderJson(json));
+            } else {
+                const block = document.createElement('div');
+                block.innerHTML = renderMarkdown(item.text, options.baseUrl);
+                container.appendChild(block);
+            }
+        } else if (item.type === 'image') {
+            container.appendChild(renderImage(item, options));
+        } else if (item.type === 'resource') {
+            container.appendChild(renderResource(item, options));
+        } else {
+            container.appendChild(renderJson(item));
+        }
+    }
+    return container;
+}
@@ -0,0 +1,53 @@
+import { buildObject } from './level-loader.js';
+
+/**
+ * Objects the server added to the world while the game runs (see
+ * lib/world-objects.js). Each arrives as a level-file spec and gets the same
+ * collider a level object would. Heights in the spec are above the ground, so
+ * objects sit on the terrain or floor where they are placed.
+ */
+export class SpawnedObjects {
+    /**
+     * @param {object} options
+     * @param {THREE.Scene} options.scene
+     * @param {CollisionWorld} [options.collisions]
+     * @param {(x: number, z: number) => number} [options.groundHeightAt]
+     */
+    constructor({ scene, collisions, groundHeightAt = () => 0 }) {
+        this.scene = scene;
+        this.collisions = collisions;
+        this.groundHeightAt = groundHeightAt;
+        this.objects = new Map(); // id -> { object, colliders }
+    }
+
+    /** Replaces everything with the server's list. */
+    applySnapshot(records) {
+        for (const id of [...this.objects.keys()]) this.remove(id);
+        records.forEach(record => this.add(record));
+    }
+
+    add(record) {
+        if (this.objects.has(record.id)) this.remove(record.id);
+        try {
+            const [x, y, z] = record.spec.position;
+            const spec = { ...record.spec, position: [x, y + this.groundHeightAt(x, z), z] };
+            this.objects.set(record.id, buildObject(this.scene, spec, { collisions: this.collisions }));
+        } catch (error) {
+            console.error(`Could not build spawned object ${record.id}:`, error);
+        }
+    }
+
+    remove(id) {
+        const entry = this.objects.get(id);
+        if (!entry) return;
+        this.objects.delete(id);
+        entry.object.removeFromParent();
+        entry.object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        if (this.collisions) {
+            entry.colliders.forEach(collider => this.collisions.remove(collider.id));
+        }
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Slash commands for the MCP terminal.
+ * Built in: /help, /tools and /call, which talk to the game server's /api/tools
+ * endpoints. The game registers the rest (sessions, status) with register().
+ */
+export class TerminalCommands {
+    constructor({ backendUrl, print, printContent }) {
+        this.backendUrl = backendUrl;
+        this.print = print; // (sender, text) => void
+        this.printContent = printContent; // (sender, text, toolResultContent) => void
+        this.commands = new Map();
+        this.tools = null;
+
+        this.register('help', {
+            description: 'list commands',
+            run: () => this.print("System", this.helpText())
+        });
+        this.register('tools', {
+            description: 'list the tools of the connected MCP servers',
+            run: () => this.listTools()
+        });
+        this.register('call', {
+            usage: '<tool> {json}',
+            description: 'call a tool directly, without the model',
+            run: arg => this.callTool(arg)
+        });
+    }
+
+    /**
+     * @param {string} name - Command name without the slash
+     * @param {object} command - { usage, description, run(arg) }
+     */
+    register(name, command) {
+        this.commands.set(name, command);
+    }
+
+    isCommand(text) {
+        return text.trim().startsWith('/');
+    }
+
+    async execute(text) {
+        const [, name, arg = ''] = text.trim().match(/^\/(\S*)\s*([\s\S]*)$/);
+        const command = this.commands.get(name);
+        if (!command) {
+            this.print("System", `Unknown command /${name}. Type /help for a list.`);
+            return;
+        }
+        try {
+            await command.run(arg.trim());
+        } catch (error) {
+            console.error(`Error running /${name}:`, error);
+            this.print("Error", error.message);
+        }
+    }
+
+    helpText() {
+        const lines = [...this.commands].map(([name, command]) =>
+            `/${name}${command.usage ? ` ${command.usage}` : ''} - ${command.description}`);
+        return `${lines.join('\n')}\nTab completes commands, tool names and argument keys.`;
+    }
+
+    /** Fetches (and caches) the tool list with input schemas. */
+    async getTools(refresh = false) {
+        if (this.tools && !refresh) return this.tools;
+        const response = await fetch(`${this.backendUrl}/api/tools`);
+        if (!response.ok) {
+            throw new Error(`Could not list tools: HTTP ${response.status}`);
+        }
+        this.tools = (await response.json()).tools;
+        return this.tools;
+    }
+
+    async listTools() {
+        const tools = await this.getTools(true);
+        if (tools.length === 0) {
+            this.print("System", "No tools available. Check /status.");
+            return;
+        }
+        const lines = tools.map(tool => {
+            const properties = tool.inputSchema.properties || {};
+            const required = tool.inputSchema.required || [];
+            const args = Object.keys(properties)
+                .map(key => required.includes(key) ? key : `${key}?`)
+                .join(', ');
+            return `${tool.name}(${args}) [${tool.server}]${tool.description ? `\n    ${tool.description}` : ''}`;
+        });
+        this.print("System", lines.join('\n'));
+    }
+
+    async callTool(arg) {
+        const [, name, json] = arg.match(/^(\S*)\s*([\s\S]*)$/);
+        if (!name) {
+            this.print("System", "Usage: /call <tool> {json}");
+            return;
+        }
+
+        let args = {};
+        if (json) {
+            try {
+                args = JSON.parse(json);
+            } catch (error) {
+                this.print("Error", `Arguments are not valid JSON: ${error.message}`);
+                return;
+            }
+        }
+
+        this.print("Tool", `calling ${name}…`);
+        const response = await fetch(`${this.backendUrl}/api/tools/call`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, arguments: args })
+        });
+        const body = await response.json().catch(() => ({ error: `HTTP error! status: ${response.status}` }));
+        if (!response.ok) {
+            const details = body.details ? `\n${body.details.map(detail => `  - ${detail}`).join('\n')}` : '';
+            this.print("Error", `${body.error}${details}`);
+            return;
+        }
+
+        const { result, durationMs } = body;
+        this.printContent(result.isError ? "Error" : "Tool", `${name} ${result.isError ? 'failed' : 'finished'} in ${durationMs} ms`, result.content || []);
+    }
+
+    /**
+     * Tab completion. Returns the new input text and the candidates that matched,
+     * so the caller can list them when the completion is ambiguous.
+     */
+    async complete(text) {
+        // "/to" -> "/tools "
+        const commandMatch = text.match(/^\/(\S*)$/);
+        if (commandMatch) {
+            const names = [...this.commands.keys()].filter(name => name.startsWith(commandMatch[1]));
+            return completeWith(text, commandMatch[1], names, name => `${name} `);
+        }
+
+        const callMatch = text.match(/^\/call\s+(\S*)$/);
+        if (callMatch) {
+            const names = (await this.getTools()).map(tool => tool.name).filter(name => name.startsWith(callMatch[1]));
+            return completeWith(text, callMatch[1], names, name => `${name} `);
+        }
+
+        // "/call generate_image {"pr" -> "/call generate_image {"prompt": "
+        const argsMatch = text.match(/^\/call\s+(\S+)\s+([\s\S]*)$/);
+        if (argsMatch) {
+            const tool = (await this.getTools()).find(candidate => candidate.name === argsMatch[1]);
+            if (!tool) return { text, options: [] };
+            const json = argsMatch[2];
+            const keyMatch = json.match(/(?:^|[{,]\s*)"?([A-Za-z0-9_]*)$/);
+            if (!keyMatch) return { text, options: [] };
+            const used = [...json.matchAll(/"([^"]+)"\s*:/g)].map(match => match[1]);
+            const keys = Object.keys(tool.inputSchema.properties || {})
+                .filter(key => key.startsWith(keyMatch[1]) && !used.includes(key));
+            const fragment = keyMatch[0].replace(/^[{,]\s*/, '');
+            const opener = json.trim() === '' ? '{' : '';
+            return completeWith(text, fragment, keys, key => `${opener}"${key}": `, partial => `${opener}"${partial}`);
+        }
+
+        return { text, options: [] };
+    }
+}
+
+/**
+ * Replaces `fragment` at the end of `text` with the single match, or with the
+ * longest common prefix of several matches.
+ */
+function completeWith(text, fragment, options, format, formatPartial = partial => partial) {
+    const base = text.slice(0, text.length - fragment.length);
+    if (options.length === 1) {
+        return { text: base + format(options[0]), options };
+    }
+    if (options.length > 1) {
+        let common = options[0];
+        for (const option of options) {
+            while (!option.startsWith(common)) common = common.slice(0, -1);
+        }
+        if (common.length > fragment.replace(/^"/, '').length) {
+            return { text: base + formatPartial(common), options };
+        }
+    }
+    return { text, options };
+}
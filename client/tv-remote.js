@@ -0,0 +1,348 @@
+const PAGE_SIZE = 12;
+const SIZES = ['1024x1024', '1792x1024', '1024x1792', '512x512'];
+
+/**
+ * The TV remote overlay: what's on, previous/next channel, a slideshow,
+ * generating a new image, and a gallery browser with favorites and delete.
+ * Everything goes through the game server, which owns the shared TV; changes
+ * come back to every player over the multiplayer connection (see setChannel
+ * and setSlideshow). The gallery view refreshes from /api/images/events while
+ * the remote is open.
+ */
+export class TvRemoteUi {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.element - Container the remote renders into
+     * @param {string} options.backendUrl - Game server
+     * @param {Function} options.getPlayerName - Name recorded as who changed the TV
+     * @param {Function} options.showImage - Puts a gallery image id on the TV
+     * @param {Function} options.onChannel - Applies a channel returned over HTTP
+     * @param {Function} [options.onClose]
+     */
+    constructor({ element, backendUrl, getPlayerName, showImage, onChannel, onClose }) {
+        this.element = element;
+        this.backendUrl = backendUrl;
+        this.getPlayerName = getPlayerName;
+        this.showImage = showImage;
+        this.onChannel = onChannel;
+        this.onClose = onClose;
+        this.channel = null;
+        this.slideshow = null;
+        this.view = 'all'; // 'all', 'favorites' or 'recent'
+        this.page = 1;
+        this.search = '';
+        this.events = null;
+        this.refreshTimer = null;
+        this.opened = false;
+    }
+
+    get isOpen() {
+        return this.opened;
+    }
+
+    open() {
+        if (this.opened) return;
+        this.opened = true;
+        this.element.style.display = 'flex';
+        this.render();
+        this.loadImages();
+
+        // Reload the gallery view when images arrive, leave or are (un)favorited
+        this.events = new EventSource(`${this.backendUrl}/api/images/events`);
+        for (const type of ['image-added', 'image-removed', 'image-updated']) {
+            this.events.addEventListener(type, () => {
+                clearTimeout(this.refreshTimer);
+                this.refreshTimer = setTimeout(() => this.loadImages(), 300);
+            });
+        }
+    }
+
+    close() {
+        if (!this.opened) return;
+        this.opened = false;
+        this.element.style.display = 'none';
+        this.element.innerHTML = '';
+        clearTimeout(this.refreshTimer);
+        if (this.events) {
+            this.events.close();
+            this.events = null;
+        }
+        if (this.onClose) this.onClose();
+    }
+
+    /** Called with every channel change from the server. */
+    setChannel(channel) {
+        this.channel = channel;
+        if (!this.opened) return;
+        this.nowShowing.textContent = channel
+            ? `Now showing: ${channel.prompt || channel.file} (set by ${channel.setBy})`
+            : 'Nothing on the TV';
+        this.grid.querySelectorAll('.tv-thumb').forEach(thumb =>
+            thumb.classList.toggle('on-tv', !!channel && thumb.dataset.imageId === channel.imageId));
+    }
+
+    /** Called with the slideshow state from the server (null when stopped). */
+    setSlideshow(slideshow) {
+        this.slideshow = slideshow;
+        if (!this.opened) return;
+        this.slideshowButton.textContent = slideshow ? 'Stop slideshow' : 'Start slideshow';
+        if (slideshow) {
+            this.intervalInput.value = slideshow.interval;
+            this.favoritesOnlyInput.checked = slideshow.favoritesOnly;
+        }
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'tv-remote-header';
+        header.textContent = 'TV REMOTE';
+        this.nowShowing = document.createElement('div');
+        this.nowShowing.className = 'tv-remote-now';
+
+        // Channel buttons and slideshow
+        const controls = document.createElement('div');
+        controls.className = 'tv-remote-row';
+        const previous = button('◀ Prev', () => this.step(-1));
+        const next = button('Next ▶', () => this.step(1));
+        this.intervalInput = document.createElement('input');
+        this.intervalInput.type = 'number';
+        this.intervalInput.min = 3;
+        this.intervalInput.max = 3600;
+        this.intervalInput.value = 10;
+        this.intervalInput.title = 'Seconds per image';
+        const favoritesOnly = document.createElement('label');
+        this.favoritesOnlyInput = document.createElement('input');
+        this.favoritesOnlyInput.type = 'checkbox';
+        favoritesOnly.append(this.favoritesOnlyInput, ' ★ only');
+        this.slideshowButton = button('Start slideshow', () => this.toggleSlideshow());
+        controls.append(previous, next, this.slideshowButton, this.intervalInput, 's', favoritesOnly);
+
+        // New image
+        const generate = document.createElement('form');
+        generate.className = 'tv-remote-row';
+        const prompt = document.createElement('input');
+        prompt.type = 'text';
+        prompt.placeholder = 'Describe a new image…';
+        const size = document.createElement('select');
+        SIZES.forEach(value => size.appendChild(new Option(value, value)));
+        const generateButton = button('Generate');
+        generateButton.type = 'submit';
+        generate.append(prompt, size, generateButton);
+        generate.addEventListener('submit', event => {
+            event.preventDefault();
+            this.generate(prompt, size.value, generateButton);
+        });
+
+        // Gallery browser
+        const views = document.createElement('form');
+        views.className = 'tv-remote-row';
+        this.viewButtons = [['all', 'All'], ['favorites', '★ Favorites'], ['recent', 'Recently shown']].map(([view, label]) => {
+            const viewButton = button(label, () => {
+                this.view = view;
+                this.page = 1;
+                this.loadImages();
+            });
+            viewButton.dataset.view = view;
+            return viewButton;
+        });
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Search prompts';
+        search.value = this.search;
+        views.append(...this.viewButtons, search);
+        views.addEventListener('submit', event => {
+            event.preventDefault();
+            this.search = search.value.trim();
+            this.page = 1;
+            this.loadImages();
+        });
+
+        this.grid = document.createElement('div');
+        this.grid.className = 'tv-remote-grid';
+        this.pager = document.createElement('div');
+        this.pager.className = 'tv-remote-row';
+        this.status = document.createElement('div');
+        this.status.className = 'tv-remote-status';
+
+        this.element.append(header, this.nowShowing, controls, generate, views, this.grid, this.pager, this.status);
+        this.setChannel(this.channel);
+        this.setSlideshow(this.slideshow);
+        prompt.focus();
+    }
+
+    async loadImages() {
+        if (!this.opened) return;
+        this.viewButtons.forEach(viewButton => viewButton.classList.toggle('active', viewButton.dataset.view === this.view));
+        try {
+            let images;
+            let totalPages = 1;
+            if (this.view === 'recent') {
+                const { history } = await this.request('GET', '/api/tv/history?limit=24');
+                // Each image once, most recent showing first
+                const seen = new Set();
+                images = history
+                    .filter(entry => !seen.has(entry.imageId) && seen.add(entry.imageId))
+                    .map(entry => ({ id: entry.imageId, url: entry.imageUrl, prompt: entry.prompt, file: entry.file }));
+            } else {
+                const params = new URLSearchParams({ page: this.page, pageSize: PAGE_SIZE });
+                if (this.search) params.set('q', this.search);
+                if (this.view === 'favorites') params.set('favorite', 'true');
+                const result = await this.request('GET', `/api/images?${params}`);
+                images = result.images;
+                totalPages = result.totalPages;
+                this.page = result.page;
+            }
+            if (this.opened) this.renderImages(images, totalPages);
+        } catch (error) {
+            console.error("Error loading the gallery:", error);
+            this.showStatus(error.message);
+        }
+    }
+
+    renderImages(images, totalPages) {
+        this.grid.innerHTML = '';
+        if (images.length === 0) {
+            this.grid.textContent = this.view === 'favorites' ? 'No favorites yet. Star an image to add it.' : 'No images.';
+        }
+        for (const image of images) {
+            const thumb = document.createElement('div');
+            thumb.className = 'tv-thumb';
+            thumb.dataset.imageId = image.id;
+            thumb.title = image.prompt || image.file;
+
+            const img = document.createElement('img');
+            img.src = `${this.backendUrl}${image.url}`;
+            img.alt = image.prompt || image.file;
+            img.loading = 'lazy';
+            img.addEventListener('click', () => this.showImage(image.id));
+            img.addEventListener('error', () => thumb.remove()); // Deleted since it was shown
+            thumb.appendChild(img);
+
+            // History entries don't carry favorite state
+            if (image.favorite !== undefined) {
+                const favorite = button(image.favorite ? '★' : '☆', () => this.setFavorite(image, !image.favorite));
+                favorite.title = image.favorite ? 'Remove from favorites' : 'Add to favorites';
+                const remove = button('✕', () => this.deleteImage(image));
+                remove.title = 'Delete from the gallery';
+                thumb.append(favorite, remove);
+            }
+            this.grid.appendChild(thumb);
+        }
+        this.setChannel(this.channel);
+
+        this.pager.innerHTML = '';
+        if (this.view !== 'recent' && totalPages > 1) {
+            const previous = button('‹', () => { this.page--; this.loadImages(); });
+            previous.disabled = this.page <= 1;
+            const next = button('›', () => { this.page++; this.loadImages(); });
+            next.disabled = this.page >= totalPages;
+            this.pager.append(previous, ` Page ${this.page} of ${totalPages} `, next);
+        }
+    }
+
+    async step(direction) {
+        await this.run(async () => {
+            const { channel } = await this.request('POST', '/api/tv/step', {
+                direction,
+                favoritesOnly: this.favoritesOnlyInput.checked,
+                setBy: this.getPlayerName()
+            });
+            this.onChannel(channel);
+        });
+    }
+
+    async toggleSlideshow() {
+        await this.run(async () => {
+            const { slideshow } = this.slideshow
+                ? await this.request('DELETE', '/api/tv/slideshow')
+                : await this.request('PUT', '/api/tv/slideshow', {
+                    interval: Number(this.intervalInput.value),
+                    favoritesOnly: this.favoritesOnlyInput.checked,
+                    setBy: this.getPlayerName()
+                });
+            this.setSlideshow(slideshow);
+        });
+    }
+
+    async generate(promptInput, size, generateButton) {
+        const prompt = promptInput.value.trim();
+        if (!prompt) return;
+        generateButton.disabled = true;
+        this.showStatus(`Generating "${prompt}"…`);
+        try {
+            const data = await this.request('POST', '/generate-image', {
+                prompt,
+                size,
+                n: 1,
+                showOnTv: true,
+                setBy: this.getPlayerName()
+            });
+            if (!data.success) throw new Error(data.message);
+            promptInput.value = '';
+            this.showStatus(data.message);
+            // The server put it on the TV for everyone; apply it here too in case we're offline
+            const { channel } = await this.request('GET', '/api/tv');
+            this.onChannel(channel);
+        } catch (error) {
+            console.error("Error generating image:", error);
+            this.showStatus(error.message);
+        } finally {
+            generateButton.disabled = false;
+        }
+    }
+
+    async setFavorite(image, favorite) {
+        await this.run(async () => {
+            await this.request('PATCH', `/api/images/${encodeURIComponent(image.id)}`, { favorite });
+            this.loadImages();
+        });
+    }
+
+    async deleteImage(image) {
+        if (!window.confirm(`Delete "${image.prompt || image.file}" from the gallery?`)) return;
+        await this.run(async () => {
+            await this.request('DELETE', `/api/images/${encodeURIComponent(image.id)}`);
+            this.showStatus('Image deleted');
+            this.loadImages();
+        });
+    }
+
+    /** Runs an action, showing its error in the status line. */
+    async run(action) {
+        try {
+            this.showStatus('');
+            await action();
+        } catch (error) {
+            console.error("TV remote error:", error);
+            this.showStatus(error.message);
+        }
+    }
+
+    async request(method, path, body) {
+        const response = await fetch(`${this.backendUrl}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const detail = data.error && data.message ? `${data.message}: ${data.error}` : data.error || data.message;
+            throw new Error(detail || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    }
+
+    showStatus(text) {
+        if (this.opened) this.status.textContent = text;
+    }
+}
+
+function button(label, onClick) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = label;
+    if (onClick) element.addEventListener('click', onClick);
+    return element;
+}
@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+
+const FADE_DURATION = 0.6; // Seconds
+
+/**
+ * The picture on the TV. A new image crossfades in: the old picture moves to
+ * an overlay just in front of the screen and fades out over it.
+ */
+export class TvScreen {
+    /**
+     * @param {THREE.Mesh} mesh - The screen plane
+     * @param {object} options
+     * @param {string} options.baseUrl - Server that gallery URLs are relative to
+     */
+    constructor(mesh, { baseUrl }) {
+        this.mesh = mesh;
+        this.baseUrl = baseUrl;
+        this.url = null; // Image showing, or loading
+        this.overlay = null;
+        this.loader = new THREE.TextureLoader();
+        this.loader.crossOrigin = 'anonymous';
+    }
+
+    show(imageUrl) {
+        if (!imageUrl) {
+            this.clear();
+            return;
+        }
+        this.url = imageUrl;
+        const fullUrl = imageUrl.startsWith('http')
+            ? imageUrl
+            : `${this.baseUrl}${imageUrl.startsWith('/') ? '' : '/'}${imageUrl}`;
+        console.log(`Loading image from: ${fullUrl}`);
+
+        this.loader.load(
+            fullUrl,
+            texture => {
+                // A newer image was asked for while this one loaded
+                if (this.url !== imageUrl) {
+                    texture.dispose();
+                    return;
+                }
+                this.fadeTo(new THREE.MeshBasicMaterial({ map: texture }));
+            },
+            undefined,
+            error => {
+                console.error("Error loading image texture:", error);
+                if (this.url === imageUrl) this.clear();
+            }
+        );
+    }
+
+    /** Fades to a blank screen. */
+    clear() {
+        this.url = null;
+        this.fadeTo(new THREE.MeshBasicMaterial({ color: 0x333333 }));
+    }
+
+    fadeTo(material) {
+        if (this.overlay) this.finishFade();
+        const previous = this.mesh.material;
+        previous.transparent = true;
+        previous.opacity = 1;
+        this.overlay = new THREE.Mesh(this.mesh.geometry, previous);
+        this.overlay.position.z = 0.001; // In front of the screen, which faces +z
+        this.mesh.add(this.overlay);
+        this.mesh.material = material;
+    }
+
+    finishFade() {
+        this.overlay.removeFromParent();
+        if (this.overlay.material.map) this.overlay.material.map.dispose();
+        this.overlay.material.dispose();
+        this.overlay = null;
+    }
+
+    update(deltaTime) {
+        if (!this.overlay) return;
+        this.overlay.material.opacity -= deltaTime / FADE_DURATION;
+        if (this.overlay.material.opacity <= 0) this.finishFade();
+    }
+}
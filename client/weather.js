@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+
+const TRANSITION_TIME = 5; // Seconds to blend into new weather
+const MAX_DROPS = 6000;
+const AREA_SIZE = 40; // Precipitation falls in a box this wide around the player
+const AREA_HEIGHT = 20;
+const RAIN_SPEED = 14; // Meters per second
+const RAIN_LENGTH = 0.35;
+const SNOW_SPEED = 1.2;
+const PRECIPITATION_FLOOR = 2; // Drops fall this far below eye level, to the ground
+const FOG_GRAY = new THREE.Color(0x9AA0A6);
+
+/**
+ * What each condition looks like. `clouds` is the share of clouds shown,
+ * `light` scales the sun and ambient light, `gray` washes out the sky and
+ * clouds, and fog runs from `fogNear` to `fogFar` meters (beyond the sky dome
+ * for clear weather).
+ */
+const CONDITIONS = {
+    clear: { clouds: 0.4, light: 1, gray: 0, fogNear: 150, fogFar: 400, precipitation: null },
+    overcast: { clouds: 1, light: 0.6, gray: 0.5, fogNear: 60, fogFar: 250, precipitation: null },
+    rain: { clouds: 1, light: 0.45, gray: 0.65, fogNear: 15, fogFar: 110, precipitation: 'rain' },
+    fog: { clouds: 0.6, light: 0.65, gray: 0.7, fogNear: 1, fogFar: 22, precipitation: null },
+    snow: { clouds: 1, light: 0.65, gray: 0.55, fogNear: 12, fogFar: 90, precipitation: 'snow' }
+};
+
+/**
+ * Weather on top of the time of day: fog, cloud cover, dimmer light and rain
+ * or snow around the player. The server decides the weather (setWeather);
+ * this blends into it over a few seconds. Call update() after the day/night
+ * cycle, since it adjusts the light and colors that cycle sets.
+ */
+export class WeatherEffects {
+    /**
+     * @param {object} options
+     * @param {THREE.Scene} options.scene
+     * @param {THREE.Mesh} options.sky - Sky dome
+     * @param {Array} options.clouds - { mesh } entries from createSky
+     * @param {THREE.Material} options.cloudMaterial
+     * @param {THREE.AmbientLight} options.ambientLight
+     * @param {THREE.DirectionalLight} options.sunLight
+     * @param {Function} [options.isSheltered] - (x, z) => true where no rain falls, e.g. indoors
+     * @param {number} [options.viewDistance] - How far the world is loaded; fog always hides its edge
+     */
+    constructor({ scene, sky, clouds, cloudMaterial, ambientLight, sunLight, isSheltered = () => false, viewDistance = Infinity }) {
+        this.scene = scene;
+        this.sky = sky;
+        this.clouds = clouds;
+        this.cloudMaterial = cloudMaterial;
+        this.ambientLight = ambientLight;
+        this.sunLight = sunLight;
+        this.isSheltered = isSheltered;
+        this.viewDistance = viewDistance;
+
+        this.state = { condition: 'clear', intensity: 0 };
+        this.current = { ...CONDITIONS.clear, rain: 0, snow: 0 }; // Blended values shown now
+        this.target = { ...this.current };
+        this.fog = new THREE.Fog(0xffffff, this.current.fogNear, this.current.fogFar);
+        scene.fog = this.fog;
+
+        this.rain = this.createPrecipitation('rain');
+        this.snow = this.createPrecipitation('snow');
+        this.center = new THREE.Vector3();
+        this.gray = new THREE.Color();
+    }
+
+    /** Applies the server's weather: { condition, intensity }. */
+    setWeather(weather) {
+        const look = CONDITIONS[weather.condition];
+        if (!look) return;
+        this.state = weather;
+        this.target = {
+            ...look,
+            rain: look.precipitation === 'rain' ? weather.intensity : 0,
+            snow: look.precipitation === 'snow' ? weather.intensity : 0
+        };
+    }
+
+    /**
+     * @param {number} deltaTime - Seconds since the last frame
+     * @param {THREE.Vector3} position - Player position; precipitation follows it
+     */
+    update(deltaTime, position) {
+        const blend = Math.min(deltaTime / TRANSITION_TIME * 3, 1); // Mostly there after TRANSITION_TIME
+        for (const key of ['clouds', 'light', 'gray', 'fogNear', 'fogFar', 'rain', 'snow']) {
+            this.current[key] += (this.target[key] - this.current[key]) * blend;
+        }
+        // Stop the last few drops rather than let them thin out forever
+        if (this.target.rain === 0 && this.current.rain < 0.01) this.current.rain = 0;
+        if (this.target.snow === 0 && this.current.snow < 0.01) this.current.snow = 0;
+        const { clouds, light, gray, fogNear, fogFar } = this.current;
+
+        // Gray the sky the day/night cycle colored, and fog in the same color
+        this.sky.material.color.lerp(this.gray.copy(FOG_GRAY).multiplyScalar(light), gray);
+        this.fog.color.copy(this.sky.material.color);
+        this.fog.near = Math.min(fogNear, this.viewDistance * 0.6);
+        this.fog.far = Math.min(fogFar, this.viewDistance);
+        this.cloudMaterial.color.lerp(this.gray.copy(FOG_GRAY).multiplyScalar(0.8), gray * 0.7);
+        this.sunLight.intensity *= light;
+        this.ambientLight.intensity *= 0.5 + light * 0.5;
+
+        const visibleClouds = Math.round(clouds * this.clouds.length);
+        this.clouds.forEach((cloud, index) => {
+            cloud.mesh.visible = index < visibleClouds;
+        });
+
+        this.center.copy(position);
+        this.updatePrecipitation(this.rain, this.current.rain, deltaTime);
+        this.updatePrecipitation(this.snow, this.current.snow, deltaTime);
+    }
+
+    /** Rain is short falling streaks, snow drifting points; both start hidden. */
+    createPrecipitation(type) {
+        const verticesPerDrop = type === 'rain' ? 2 : 1;
+        const positions = new Float32Array(MAX_DROPS * verticesPerDrop * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setDrawRange(0, 0);
+
+        let object;
+        if (type === 'rain') {
+            object = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+                color: 0xAABBCC, transparent: true, opacity: 0.5
+            }));
+        } else {
+            object = new THREE.Points(geometry, new THREE.PointsMaterial({
+                color: 0xFFFFFF, size: 0.12, transparent: true, opacity: 0.9
+            }));
+        }
+        object.frustumCulled = false; // Positions move every frame; the box is always around the camera
+        object.visible = false;
+        this.scene.add(object);
+
+        // Drops are kept separately so streaks can be rebuilt from them
+        const drops = new Float32Array(MAX_DROPS * 3);
+        return { type, object, geometry, positions, drops, verticesPerDrop, started: false };
+    }
+
+    updatePrecipitation(precipitation, amount, deltaTime) {
+        const count = Math.floor(amount * MAX_DROPS);
+        precipitation.object.visible = count > 0;
+        if (count === 0) return;
+
+        const { drops, positions, type } = precipitation;
+        if (!precipitation.started) {
+            // Fill the whole box once so it doesn't start as a single sheet
+            for (let i = 0; i < MAX_DROPS; i++) this.respawnDrop(drops, i, Math.random() * AREA_HEIGHT);
+            precipitation.started = true;
+        }
+
+        const half = AREA_SIZE / 2;
+        const fall = (type === 'rain' ? RAIN_SPEED : SNOW_SPEED) * deltaTime;
+        const time = performance.now() / 1000;
+        for (let i = 0; i < count; i++) {
+            const index = i * 3;
+            drops[index + 1] -= fall;
+            if (type === 'snow') {
+                drops[index] += Math.sin(time + i) * 0.3 * deltaTime;
+                drops[index + 2] += Math.cos(time * 0.7 + i) * 0.3 * deltaTime;
+            }
+            if (drops[index + 1] < this.center.y - PRECIPITATION_FLOOR) {
+                this.respawnDrop(drops, i, AREA_HEIGHT);
+            }
+
+            // Keep the box centered on the player as they walk
+            drops[index] = wrap(drops[index], this.center.x - half, AREA_SIZE);
+            drops[index + 2] = wrap(drops[index + 2], this.center.z - half, AREA_SIZE);
+
+            if (type === 'rain') {
+                const vertex = i * 6;
+                positions[vertex] = positions[vertex + 3] = drops[index];
+                positions[vertex + 1] = drops[index + 1];
+                positions[vertex + 4] = drops[index + 1] + RAIN_LENGTH;
+                positions[vertex + 2] = positions[vertex + 5] = drops[index + 2];
+            } else {
+                positions[index] = drops[index];
+                positions[index + 1] = drops[index + 1];
+                positions[index + 2] = drops[index + 2];
+            }
+        }
+        precipitation.geometry.setDrawRange(0, count * precipitation.verticesPerDrop);
+        precipitation.geometry.attributes.position.needsUpdate = true;
+    }
+
+    /** Starts drop `i` at a random spot `height` above the player's feet, or out of sight where it's sheltered. */
+    respawnDrop(drops, i, height) {
+        const index = i * 3;
+        drops[index] = this.center.x + (Math.random() - 0.5) * AREA_SIZE;
+        drops[index + 2] = this.center.z + (Math.random() - 0.5) * AREA_SIZE;
+        drops[index + 1] = this.isSheltered(drops[index], drops[index + 2])
+            ? this.center.y - PRECIPITATION_FLOOR - 1 // Tried again next frame
+            : this.center.y - PRECIPITATION_FLOOR + height;
+    }
+}
+
+function wrap(value, min, size) {
+    return ((value - min) % size + size) % size + min;
+}
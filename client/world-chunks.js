@@ -0,0 +1,294 @@
+import * as THREE from 'three';
+
+const TREE_HEIGHT = 4.5;
+
+/**
+ * Streams the outdoor world in square chunks around the player. A chunk's
+ * terrain, trees, rocks and flowers are built from the WorldGenerator when the
+ * player comes within `loadRadius` chunks of it, and thrown away, colliders
+ * and all, once the player is a chunk further off. Each kind of thing in a
+ * chunk is one InstancedMesh, so a chunk costs a few draw calls. Trees within
+ * `detailDistance` are the full trunk and crown; further off a chunk swaps
+ * them for one low-poly cone each and hides its flowers.
+ */
+export class WorldChunks {
+    /**
+     * @param {object} options
+     * @param {THREE.Scene} options.scene
+     * @param {WorldGenerator} options.generator
+     * @param {CollisionWorld} [options.collisions]
+     * @param {number} [options.size] - Width of a chunk in meters
+     * @param {number} [options.segments] - Terrain grid squares along a chunk's side
+     * @param {number} [options.loadRadius] - Chunks kept loaded in each direction
+     * @param {number} [options.detailDistance] - Meters within which trees are detailed
+     * @param {number} [options.loadPerFrame] - Chunks built per update, to avoid stalls
+     * @param {THREE.Material} options.groundMaterial - Its color is the meadows'
+     * @param {number} [options.groundY] - Where the drawn ground is, below the heights players walk on
+     * @param {object} [options.terrain] - The level's `world.terrain`, for colors
+     * @param {object} [options.scatter] - The level's `world.scatter`
+     */
+    constructor({
+        scene, generator, collisions, size = 32, segments = 16, loadRadius = 3, detailDistance = 60,
+        loadPerFrame = 1, groundMaterial, groundY = 0, terrain, scatter = {}
+    }) {
+        this.scene = scene;
+        this.generator = generator;
+        this.collisions = collisions;
+        this.size = size;
+        this.segments = segments;
+        this.loadRadius = loadRadius;
+        this.detailDistance = detailDistance;
+        this.loadPerFrame = loadPerFrame;
+        this.chunks = new Map(); // "x,z" -> chunk
+        this.treeCollisionRadius = (scatter.trees && scatter.trees.collisionRadius) || 1.2;
+        this.flowerColors = ((scatter.flowers && scatter.flowers.colors) || ['#FF0000', '#FFFF00']).map(color => new THREE.Color(color));
+
+        this.groundY = groundY;
+        this.groundMaterial = groundMaterial;
+        if (terrain) {
+            // Colored by biome, with the paths worn in
+            this.palette = {
+                meadow: this.groundMaterial.color.clone(),
+                forest: new THREE.Color('#4F9A2F'),
+                rocky: new THREE.Color('#8C8C7A'),
+                path: new THREE.Color('#A0825A')
+            };
+            Object.entries(terrain.colors || {}).forEach(([name, color]) => this.palette[name]?.set(color));
+            this.groundMaterial.vertexColors = true;
+            this.groundMaterial.color.set('#ffffff');
+        }
+
+        // Shared by every chunk; each geometry stands on its origin
+        this.geometries = {
+            trunk: new THREE.CylinderGeometry(0.2, 0.4, 2, 8).translate(0, 1, 0),
+            crown: new THREE.ConeGeometry(1.5, 3, 8).translate(0, 3, 0),
+            farTree: new THREE.ConeGeometry(1.5, 4.2, 5).translate(0, 2.4, 0),
+            rock: new THREE.DodecahedronGeometry(0.6),
+            stem: new THREE.CylinderGeometry(0.02, 0.02, 0.3, 6).translate(0, 0.15, 0),
+            blossom: new THREE.SphereGeometry(0.08, 8, 6).translate(0, 0.3, 0)
+        };
+        this.materials = {
+            trunk: new THREE.MeshStandardMaterial({ color: '#8B4513' }),
+            crown: new THREE.MeshStandardMaterial({ color: '#228B22' }),
+            rock: new THREE.MeshStandardMaterial({ color: '#7D7D74', roughness: 0.95, flatShading: true }),
+            stem: new THREE.MeshStandardMaterial({ color: '#228B22' }),
+            blossom: new THREE.MeshStandardMaterial({ color: '#FFFFFF' })
+        };
+
+        // Chunk offsets within the load radius, nearest first
+        this.offsets = [];
+        for (let x = -loadRadius; x <= loadRadius; x++) {
+            for (let z = -loadRadius; z <= loadRadius; z++) this.offsets.push([x, z]);
+        }
+        this.offsets.sort((a, b) => Math.hypot(...a) - Math.hypot(...b));
+    }
+
+    /** How far the loaded world reaches from the player, for fog and the sky. */
+    get viewDistance() {
+        return (this.loadRadius + 0.5) * this.size;
+    }
+
+    /** Loads every chunk around `position` at once, e.g. before the first frame. */
+    loadAround(position) {
+        this.update(position, { budget: Infinity });
+    }
+
+    /** Loads the nearest missing chunks, unloads far ones and picks each chunk's detail. */
+    update(position, { budget = this.loadPerFrame } = {}) {
+        const centerX = Math.floor(position.x / this.size);
+        const centerZ = Math.floor(position.z / this.size);
+
+        for (const [key, chunk] of this.chunks) {
+            if (Math.max(Math.abs(chunk.x - centerX), Math.abs(chunk.z - centerZ)) > this.loadRadius + 1) {
+                this.unload(key);
+            }
+        }
+
+        for (const [offsetX, offsetZ] of this.offsets) {
+            if (budget <= 0) break;
+            const x = centerX + offsetX;
+            const z = centerZ + offsetZ;
+            if (this.chunks.has(`${x},${z}`) || !this.inWorld(x, z)) continue;
+            this.load(x, z);
+            budget--;
+        }
+
+        for (const chunk of this.chunks.values()) {
+            const distance = Math.hypot(position.x - chunk.centerX, position.z - chunk.centerZ);
+            this.setDetailed(chunk, distance < this.detailDistance);
+        }
+    }
+
+    /** Whether a chunk overlaps a world with a `size`; an endless world has them all. */
+    inWorld(x, z) {
+        const half = this.generator.size / 2;
+        if (!half) return true;
+        return x * this.size < half && (x + 1) * this.size > -half && z * this.size < half && (z + 1) * this.size > -half;
+    }
+
+    load(x, z) {
+        const group = new THREE.Group();
+        group.name = `chunk ${x},${z}`;
+        const chunk = {
+            x,
+            z,
+            centerX: (x + 0.5) * this.size,
+            centerZ: (z + 0.5) * this.size,
+            group,
+            meshes: [],
+            colliderIds: [],
+            detailed: null,
+            near: [],
+            far: []
+        };
+        this.buildTerrain(chunk);
+        this.buildScatter(chunk, this.generator.scatterChunk(x, z, this.size));
+        this.scene.add(group);
+        this.chunks.set(`${x},${z}`, chunk);
+        return chunk;
+    }
+
+    /** Shows a chunk's detailed trees and flowers, or its far trees. */
+    setDetailed(chunk, detailed) {
+        if (detailed === chunk.detailed) return;
+        chunk.detailed = detailed;
+        chunk.near.forEach(mesh => { mesh.visible = detailed; });
+        chunk.far.forEach(mesh => { mesh.visible = !detailed; });
+    }
+
+    unload(key) {
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+        this.chunks.delete(key);
+        chunk.group.removeFromParent();
+        chunk.meshes.forEach(mesh => {
+            if (mesh.isInstancedMesh) {
+                mesh.dispose();
+            } else {
+                mesh.geometry.dispose(); // Terrain; the scatter geometries are shared
+            }
+        });
+        if (this.collisions) chunk.colliderIds.forEach(id => this.collisions.remove(id));
+    }
+
+    /** Removes every chunk, e.g. before loading another level. */
+    clear() {
+        [...this.chunks.keys()].forEach(key => this.unload(key));
+    }
+
+    buildTerrain(chunk) {
+        const { generator, size, segments } = this;
+        const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+        geometry.rotateX(-Math.PI / 2); // Horizontal, so vertices are in x and z
+        geometry.translate(chunk.centerX, 0, chunk.centerZ);
+
+        // Heights on the chunk's grid plus a border of one square, so normals
+        // come from the height field itself and neighboring chunks shade the
+        // same along their seam
+        const step = size / segments;
+        const row = segments + 3;
+        const heights = new Float32Array(row * row);
+        const left = chunk.centerX - size / 2 - step;
+        const top = chunk.centerZ - size / 2 - step;
+        for (let j = 0; j < row; j++) {
+            for (let i = 0; i < row; i++) heights[j * row + i] = generator.heightAt(left + i * step, top + j * step);
+        }
+        const heightAt = (i, j) => heights[(j + 1) * row + i + 1];
+
+        // PlaneGeometry's vertices run along x, then z, matching the grid
+        const positions = geometry.attributes.position;
+        const normals = geometry.attributes.normal;
+        const colors = this.palette ? new Float32Array(positions.count * 3) : null;
+        const normal = new THREE.Vector3();
+        const color = new THREE.Color();
+        for (let index = 0; index < positions.count; index++) {
+            const i = index % (segments + 1);
+            const j = Math.floor(index / (segments + 1));
+            const height = heightAt(i, j);
+            positions.setY(index, height);
+            normal.set(heightAt(i - 1, j) - heightAt(i + 1, j), 2 * step, heightAt(i, j - 1) - heightAt(i, j + 1)).normalize();
+            normals.setXYZ(index, normal.x, normal.y, normal.z);
+            if (colors) {
+                const x = positions.getX(index);
+                const z = positions.getZ(index);
+                color.copy(this.palette[generator.biomeAt(x, z, height)]).lerp(this.palette.path, generator.pathAt(x, z));
+                color.toArray(colors, index * 3);
+            }
+        }
+        if (colors) geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.computeBoundingSphere();
+
+        const terrain = new THREE.Mesh(geometry, this.groundMaterial);
+        terrain.position.y = this.groundY;
+        terrain.receiveShadow = true;
+        terrain.name = 'terrain';
+        chunk.group.add(terrain);
+        chunk.meshes.push(terrain);
+    }
+
+    buildScatter(chunk, { trees, rocks, flowers }) {
+        const matrix = new THREE.Matrix4();
+        const rotation = new THREE.Quaternion();
+        const position = new THREE.Vector3();
+        const scale = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 1, 0);
+        const place = (item, y, scaleX, scaleY = scaleX, scaleZ = scaleX) => matrix.compose(
+            position.set(item.x, y, item.z),
+            rotation.setFromAxisAngle(up, item.rotation),
+            scale.set(scaleX, scaleY, scaleZ)
+        );
+
+        if (trees.length > 0) {
+            const trunks = this.instanced(chunk, 'trunk', 'trunk', trees.length, { shadows: true });
+            const crowns = this.instanced(chunk, 'crown', 'crown', trees.length, { shadows: true });
+            const farTrees = this.instanced(chunk, 'farTree', 'crown', trees.length);
+            trees.forEach((item, i) => {
+                place(item, item.y, item.scale);
+                trunks.setMatrixAt(i, matrix);
+                crowns.setMatrixAt(i, matrix);
+                farTrees.setMatrixAt(i, matrix);
+                this.addCollider(chunk, item, this.treeCollisionRadius * item.scale, item.y, item.y + TREE_HEIGHT * item.scale);
+            });
+            chunk.near.push(trunks, crowns);
+            chunk.far.push(farTrees);
+        }
+
+        if (rocks.length > 0) {
+            const rockMeshes = this.instanced(chunk, 'rock', 'rock', rocks.length, { shadows: true });
+            rocks.forEach((item, i) => {
+                // Partly sunk into the ground; low rocks can be stepped over like any short collider
+                const bottom = item.y + this.groundY;
+                place(item, bottom + 0.1 * item.scale, item.scale, item.scale * 0.6, item.scale * (0.8 + item.random * 0.4));
+                rockMeshes.setMatrixAt(i, matrix);
+                this.addCollider(chunk, item, 0.55 * item.scale, bottom, bottom + 0.45 * item.scale);
+            });
+        }
+
+        if (flowers.length > 0) {
+            const stems = this.instanced(chunk, 'stem', 'stem', flowers.length);
+            const blossoms = this.instanced(chunk, 'blossom', 'blossom', flowers.length);
+            flowers.forEach((item, i) => {
+                place(item, item.y + this.groundY, item.scale);
+                stems.setMatrixAt(i, matrix);
+                blossoms.setMatrixAt(i, matrix);
+                blossoms.setColorAt(i, this.flowerColors[Math.floor(item.random * this.flowerColors.length)]);
+            });
+            chunk.near.push(stems, blossoms);
+        }
+    }
+
+    instanced(chunk, geometry, material, count, { shadows = false } = {}) {
+        const mesh = new THREE.InstancedMesh(this.geometries[geometry], this.materials[material], count);
+        mesh.name = geometry;
+        mesh.castShadow = shadows;
+        mesh.receiveShadow = shadows;
+        chunk.group.add(mesh);
+        chunk.meshes.push(mesh);
+        return mesh;
+    }
+
+    addCollider(chunk, item, radius, minY, maxY) {
+        if (!this.collisions) return;
+        chunk.colliderIds.push(this.collisions.add({ type: 'circle', x: item.x, z: item.z, radius, minY, maxY }));
+    }
+}
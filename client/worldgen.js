@@ -0,0 +1,304 @@
+/**
+ * Seeded generation of the outdoor world: terrain heights, biomes and where
+ * trees, rocks and flowers go. Everything comes from the seed and the level's
+ * settings, never from Math.random, so every player who loads the same level
+ * with the same seed walks the same hills and bumps into the same trees.
+ * This module only does the numbers; client/level-loader.js builds the meshes.
+ */
+
+/** Turns a seed (a number or any string) into a 32-bit integer. */
+export function hashSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return Math.floor(value) >>> 0;
+    // FNV-1a
+    let hash = 2166136261;
+    for (const char of String(value)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/** A small, fast seeded random number generator returning [0, 1). */
+export function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** A random stream for one purpose, so adding rocks doesn't move the trees. */
+export function seededRandom(seed, purpose) {
+    return mulberry32(hashSeed(`${seed}:${purpose}`));
+}
+
+/**
+ * 2D gradient (Perlin) noise shuffled by `random`.
+ * @returns {(x: number, y: number) => number} Roughly -1 to 1, smooth at scale 1
+ */
+export function createNoise2D(random) {
+    const table = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [table[i], table[j]] = [table[j], table[i]];
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = table[i & 255];
+
+    // Eight gradient directions around the circle
+    const diagonal = Math.SQRT1_2;
+    const gradX = [1, -1, 0, 0, diagonal, -diagonal, diagonal, -diagonal];
+    const gradY = [0, 0, 1, -1, diagonal, diagonal, -diagonal, -diagonal];
+    const dot = (hash, x, y) => gradX[hash & 7] * x + gradY[hash & 7] * y;
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const lerp = (a, b, t) => a + (b - a) * t;
+
+    return (x, y) => {
+        const cellX = Math.floor(x);
+        const cellY = Math.floor(y);
+        const fx = x - cellX;
+        const fy = y - cellY;
+        const i = cellX & 255;
+        const j = cellY & 255;
+        const u = fade(fx);
+        const v = fade(fy);
+        const bottom = lerp(dot(perm[i + perm[j]], fx, fy), dot(perm[i + 1 + perm[j]], fx - 1, fy), u);
+        const top = lerp(dot(perm[i + perm[j + 1]], fx, fy - 1), dot(perm[i + 1 + perm[j + 1]], fx - 1, fy - 1), u);
+        return lerp(bottom, top, v) * Math.SQRT2;
+    };
+}
+
+/** Octaves of noise, each twice as fine and half as strong, scaled back to about -1 to 1. */
+function fractalNoise(noise, x, y, octaves) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let range = 0;
+    for (let octave = 0; octave < octaves; octave++) {
+        total += noise(x * frequency + octave * 17.3, y * frequency - octave * 31.7) * amplitude;
+        range += amplitude;
+        amplitude /= 2;
+        frequency *= 2;
+    }
+    return total / range;
+}
+
+function smoothstep(edge0, edge1, x) {
+    if (edge1 <= edge0) return x < edge0 ? 0 : 1;
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+function distanceToSegment(x, z, [ax, az], [bx, bz]) {
+    const dx = bx - ax;
+    const dz = bz - az;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((x - ax) * dx + (z - az) * dz) / lengthSq)) : 0;
+    return Math.hypot(x - (ax + dx * t), z - (az + dz * t));
+}
+
+/** Whether (x, z) is inside a box ({ min, max }) or circle ({ center, radius, maxZ? }) zone. */
+function inZone(zone, x, z) {
+    if (zone.min && zone.max) {
+        return x >= zone.min[0] && x <= zone.max[0] && z >= zone.min[1] && z <= zone.max[1];
+    }
+    const [cx, cz] = zone.center || [0, 0];
+    return Math.hypot(x - cx, z - cz) <= zone.radius && (zone.maxZ === undefined || z <= zone.maxZ);
+}
+
+/** How far (x, z) is outside a zone, 0 inside it. */
+function distanceOutside(zone, x, z) {
+    if (zone.min && zone.max) {
+        const dx = Math.max(zone.min[0] - x, 0, x - zone.max[0]);
+        const dz = Math.max(zone.min[1] - z, 0, z - zone.max[1]);
+        return Math.hypot(dx, dz);
+    }
+    const [cx, cz] = zone.center || [0, 0];
+    return Math.max(0, Math.hypot(x - cx, z - cz) - zone.radius);
+}
+
+/**
+ * The terrain and scattering of one world. `terrain` and `scatter` are the
+ * level's `world.terrain` and `world.scatter` (see README "Levels").
+ */
+export class WorldGenerator {
+    /**
+     * @param {object} options
+     * @param {string|number} options.seed
+     * @param {number} options.size - Width of the square world in meters
+     * @param {object} [options.terrain]
+     * @param {object} [options.scatter]
+     */
+    constructor({ seed, size, terrain = {}, scatter = {} }) {
+        this.seed = seed;
+        this.size = size;
+        this.amplitude = terrain.amplitude ?? 0;
+        this.scale = terrain.scale || 40;
+        this.octaves = terrain.octaves || 4;
+        this.flatten = terrain.flatten || [];
+        this.paths = terrain.paths || [];
+        this.scatterSettings = scatter;
+        this.heightNoise = createNoise2D(seededRandom(seed, 'height'));
+        this.moistureNoise = createNoise2D(seededRandom(seed, 'moisture'));
+    }
+
+    /**
+     * Height of the ground at (x, z), where the player's feet go outdoors:
+     * hills and valleys, carved by paths and flattened around buildings.
+     */
+    heightAt(x, z) {
+        if (!this.amplitude) return 0;
+        const nx = x / this.scale;
+        const nz = z / this.scale;
+        let height = fractalNoise(this.heightNoise, nx, nz, this.octaves) * this.amplitude;
+
+        // Paths keep the broad lie of the land but lose the bumps, sunk by `depth`
+        for (const path of this.paths) {
+            const carve = this.pathWeight(path, x, z);
+            if (carve > 0) {
+                const broad = fractalNoise(this.heightNoise, nx, nz, 1) * this.amplitude / (2 - 2 ** (1 - this.octaves));
+                height += (broad - (path.depth ?? 0.1) - height) * carve;
+            }
+        }
+
+        // Flat ground under and around buildings, blending back to the hills over `falloff`
+        for (const zone of this.flatten) {
+            const flat = 1 - smoothstep(0, zone.falloff ?? 8, distanceOutside(zone, x, z));
+            if (flat > 0) height += ((zone.height ?? 0) - height) * flat;
+        }
+        return height;
+    }
+
+    /** 1 on a path, falling to 0 over its `falloff` beyond its edges. */
+    pathWeight(path, x, z) {
+        const halfWidth = (path.width ?? 2) / 2;
+        return 1 - smoothstep(halfWidth, halfWidth + (path.falloff ?? 2), this.distanceToPath(path, x, z));
+    }
+
+    distanceToPath(path, x, z) {
+        let distance = Infinity;
+        const points = path.points || [];
+        for (let i = 1; i < points.length; i++) {
+            distance = Math.min(distance, distanceToSegment(x, z, points[i - 1], points[i]));
+        }
+        return distance;
+    }
+
+    /** How much of a path (0 to 1) is at (x, z), for coloring the ground. */
+    pathAt(x, z) {
+        let weight = 0;
+        for (const path of this.paths) {
+            const halfWidth = (path.width ?? 2) / 2;
+            weight = Math.max(weight, 1 - smoothstep(halfWidth * 0.8, halfWidth * 1.2, this.distanceToPath(path, x, z)));
+        }
+        return weight;
+    }
+
+    /**
+     * 'meadow', 'forest' or 'rocky': high ground is rocky, damp ground forested.
+     * Pass the height at (x, z) if it's already known.
+     */
+    biomeAt(x, z, height = this.heightAt(x, z)) {
+        if (this.amplitude && height > this.amplitude * 0.3) return 'rocky';
+        const moisture = fractalNoise(this.moistureNoise, x / (this.scale * 1.5), z / (this.scale * 1.5), 2);
+        if (moisture > 0.1) return 'forest';
+        if (moisture < -0.4) return 'rocky';
+        return 'meadow';
+    }
+
+    /**
+     * Where trees, rocks and flowers go in one square chunk of the world,
+     * `chunkSize` meters across with its corner at (chunkX, chunkZ) times that.
+     * Each chunk draws from its own random stream, so it comes out the same
+     * whichever order chunks load in. Each kind in `scatter` has a `density`
+     * (per hectare, 100 x 100 m, where its biome weight is 1), a `minSpacing` kept from everything placed
+     * before it (items keep half of it from the chunk's edges, so neighboring
+     * chunks don't crowd each other), and `biomes` weights (0 to 1) for how
+     * likely it is to grow in each biome. Nothing is placed on paths, in the
+     * `exclude` zones, or outside `spread` of a world with a `size`. Kinds are
+     * placed in the order trees, rocks, flowers, so flowers fill the gaps.
+     * @returns {{ trees: Array, rocks: Array, flowers: Array }} Each item is
+     *   { x, y, z, scale, rotation, biome, random } with `random` a 0 to 1 value
+     *   for picking variations such as colors
+     */
+    scatterChunk(chunkX, chunkZ, chunkSize) {
+        const { spread = 1, exclude = [] } = this.scatterSettings;
+        const limit = this.size ? this.size * spread / 2 : Infinity;
+        const placed = new SpacingGrid(4);
+        const result = {};
+        for (const kind of ['trees', 'rocks', 'flowers']) {
+            const settings = this.scatterSettings[kind] || {};
+            const random = seededRandom(this.seed, `${kind}:${chunkX},${chunkZ}`);
+            const spacing = settings.minSpacing ?? 1;
+            const margin = Math.min(spacing / 2, chunkSize / 4);
+            const [minScale, maxScale] = settings.scale || [1, 1];
+            const expected = (settings.density || 0) * chunkSize * chunkSize / 10000;
+            const count = Math.floor(expected + random());
+            const items = [];
+            // Each of `count` seeds sprouts unless its spot is excluded or the
+            // biome says no; it only moves to keep the spacing
+            for (let i = 0; i < count; i++) {
+                for (let attempt = 0; attempt < 5; attempt++) {
+                    const x = chunkX * chunkSize + margin + random() * (chunkSize - margin * 2);
+                    const z = chunkZ * chunkSize + margin + random() * (chunkSize - margin * 2);
+                    const chance = random();
+                    const scale = minScale + random() * (maxScale - minScale);
+                    const rotation = random() * Math.PI * 2;
+                    const variation = random();
+
+                    if (Math.abs(x) > limit || Math.abs(z) > limit) break;
+                    if (exclude.some(zone => inZone(zone, x, z))) break;
+                    if (this.paths.some(path => this.pathWeight(path, x, z) > 0.05)) break;
+                    const biome = this.biomeAt(x, z);
+                    if (chance >= (settings.biomes ? settings.biomes[biome] ?? 0 : 1)) break;
+                    if (!placed.isClear(x, z, spacing)) continue;
+
+                    placed.add(x, z, spacing);
+                    items.push({ x, y: this.heightAt(x, z), z, scale, rotation, biome, random: variation });
+                    break;
+                }
+            }
+            result[kind] = items;
+        }
+        return result;
+    }
+}
+
+/** Placed points bucketed by cell, for checking the minimum spacing quickly. */
+class SpacingGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.maxSpacing = 0;
+    }
+
+    key(cellX, cellZ) {
+        return `${cellX},${cellZ}`;
+    }
+
+    /** Whether a point with `spacing` around it is at least that far from every point placed. */
+    isClear(x, z, spacing) {
+        const reach = Math.max(spacing, this.maxSpacing);
+        const range = Math.ceil(reach / this.cellSize);
+        const cellX = Math.floor(x / this.cellSize);
+        const cellZ = Math.floor(z / this.cellSize);
+        for (let i = -range; i <= range; i++) {
+            for (let j = -range; j <= range; j++) {
+                for (const point of this.cells.get(this.key(cellX + i, cellZ + j)) || []) {
+                    if (Math.hypot(point.x - x, point.z - z) < Math.max(spacing, point.spacing)) return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    add(x, z, spacing) {
+        const key = this.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push({ x, z, spacing });
+        this.maxSpacing = Math.max(this.maxSpacing, spacing);
+    }
+}
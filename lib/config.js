@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'mcpgame.config.json');
+const DEFAULT_GALLERY_DIR = 'server/openai-server/public/image';
+
+/**
+ * Makes sure the gallery directory exists and is writable, throwing a
+ * descriptive error instead of letting image saves fail later.
+ */
+function validateGalleryDir(galleryDir) {
+    try {
+        fs.mkdirSync(galleryDir, { recursive: true });
+    } catch (err) {
+        throw new Error(`Gallery directory ${galleryDir} does not exist and could not be created: ${err.message}`);
+    }
+
+    if (!fs.statSync(galleryDir).isDirectory()) {
+        throw new Error(`Gallery path ${galleryDir} is not a directory`);
+    }
+
+    try {
+        fs.accessSync(galleryDir, fs.constants.R_OK | fs.constants.W_OK);
+    } catch (err) {
+        throw new Error(`Gallery directory ${galleryDir} is not readable and writable: ${err.message}`);
+    }
+}
+
+/**
+ * Loads the game server configuration. MCPGAME_CONFIG can point at another
+ * file; relative paths inside the config resolve against the file's directory.
+ * MCPGAME_IMAGE_DIR overrides the gallery directory from the file, and
+ * MCPGAME_IMAGE_INDEX the gallery metadata index (default: image-index.json
+ * next to the gallery directory). MCPGAME_DATA_DIR overrides where the game
+ * server keeps its own state, MCPGAME_TIME_MODE the time-of-day mode and
+ * MCPGAME_WORLD_SEED the seed the outdoor world is generated from.
+ */
+function loadConfig(configPath = process.env.MCPGAME_CONFIG || DEFAULT_CONFIG_PATH) {
+    const resolvedPath = path.resolve(configPath);
+    if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`Config file not found: ${resolvedPath}`);
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not parse config file ${resolvedPath}: ${err.message}`);
+    }
+
+    const baseDir = path.dirname(resolvedPath);
+    const mcpServers = Object.entries(raw.mcpServers || {}).map(([name, server]) => {
+        if (!server || typeof server.command !== 'string') {
+            throw new Error(`MCP server "${name}" in ${resolvedPath} needs a "command"`);
+        }
+        return {
+            name,
+            command: server.command,
+            args: Array.isArray(server.args) ? server.args : [],
+            env: server.env || {},
+            cwd: path.resolve(baseDir, server.cwd || '.'),
+            disabled: !!server.disabled
+        };
+    });
+
+    const galleryDir = process.env.MCPGAME_IMAGE_DIR
+        ? path.resolve(process.env.MCPGAME_IMAGE_DIR)
+        : path.resolve(baseDir, (raw.gallery && raw.gallery.directory) || DEFAULT_GALLERY_DIR);
+
+    let galleryIndexFile;
+    if (process.env.MCPGAME_IMAGE_INDEX) {
+        galleryIndexFile = path.resolve(process.env.MCPGAME_IMAGE_INDEX);
+    } else if (raw.gallery && raw.gallery.indexFile) {
+        galleryIndexFile = path.resolve(baseDir, raw.gallery.indexFile);
+    } else {
+        galleryIndexFile = path.join(path.dirname(galleryDir), 'image-index.json');
+    }
+
+    const dataDir = process.env.MCPGAME_DATA_DIR
+        ? path.resolve(process.env.MCPGAME_DATA_DIR)
+        : path.resolve(baseDir, raw.dataDirectory || 'data');
+
+    const terminal = {
+        maxContextMessages: (raw.terminal && raw.terminal.maxContextMessages) || 20
+    };
+
+    // Time of day: the server's wall clock, or a faster game clock
+    const time = {
+        mode: process.env.MCPGAME_TIME_MODE || (raw.time && raw.time.mode) || 'real',
+        speed: raw.time && raw.time.speed !== undefined ? raw.time.speed : 60,
+        startHour: raw.time && raw.time.startHour
+    };
+
+    // Unset picks a seed once and keeps it in the data directory
+    const world = {
+        seed: process.env.MCPGAME_WORLD_SEED || (raw.world && raw.world.seed)
+    };
+
+    return { path: resolvedPath, baseDir, galleryDir, galleryIndexFile, dataDir, terminal, time, world, mcpServers };
+}
+
+module.exports = { loadConfig, validateGalleryDir };
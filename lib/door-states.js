@@ -0,0 +1,46 @@
+const { EventEmitter } = require('events');
+
+// Door ids come from level files the server doesn't read, so cap what a client can create
+const MAX_DOORS = 500;
+const MAX_ID_LENGTH = 100;
+
+/**
+ * Which doors are open, owned by the server so every player sees the same
+ * doors. Doors not listed are closed. Emits 'change' with { id, open, setBy }.
+ */
+class DoorStates extends EventEmitter {
+    constructor() {
+        super();
+        this.doors = new Map(); // id -> { open, setBy, setAt }
+    }
+
+    /**
+     * Opens or closes a door.
+     * @param {string} id - Door id from the level file
+     * @param {boolean} open
+     * @param {string} setBy - Player name
+     */
+    set(id, open, setBy) {
+        if (typeof id !== 'string' || !id || id.length > MAX_ID_LENGTH) {
+            throw new Error('Door id must be a non-empty string');
+        }
+        if (!this.doors.has(id) && this.doors.size >= MAX_DOORS) {
+            throw new Error('Too many doors');
+        }
+        const state = { open: !!open, setBy, setAt: new Date().toISOString() };
+        this.doors.set(id, state);
+        this.emit('change', { id, ...state });
+        return state;
+    }
+
+    /** Open state of every door that has been touched, as { id: open }. */
+    snapshot() {
+        const doors = {};
+        for (const [id, state] of this.doors) {
+            doors[id] = state.open;
+        }
+        return doors;
+    }
+}
+
+module.exports = { DoorStates };
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const IMAGE_FILE_PATTERN = /\.(jpg|jpeg|png|gif|webp)$/i;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Wait for a burst of file system events (and the index write) to settle
+const WATCH_DEBOUNCE = 500;
+
+/**
+ * The image gallery. Metadata comes from the index file the image MCP server
+ * writes; images dropped into the directory by hand are listed too, with their
+ * file time as the creation date. Favorites are the game's own and live in a
+ * separate file, so the index stays the MCP server's alone. Deleting removes
+ * the image file; its index entry is then ignored.
+ *
+ * After watch() is called, emits 'image-added' and 'image-removed' with the
+ * affected image record as files appear in or leave the directory.
+ * 'image-updated' is emitted when an image is (un)favorited.
+ */
+class Gallery extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Gallery directory
+     * @param {string} options.indexFile - Path of the JSON metadata index
+     * @param {string} [options.favoritesFile] - JSON file of favorite image ids
+     */
+    constructor({ dir, indexFile, favoritesFile }) {
+        super();
+        this.dir = dir;
+        this.indexFile = indexFile;
+        this.favoritesFile = favoritesFile;
+        this.favorites = new Set(favoritesFile ? readJsonFile(favoritesFile, { ids: [] }).ids : []);
+        this.cache = null;
+        this.cacheKey = null;
+        // Untracked files are stat'ed once and remembered by name
+        this.untrackedTimes = new Map();
+        this.watcher = null;
+        this.watchTimer = null;
+        this.knownImages = new Map();
+    }
+
+    watch() {
+        if (this.watcher) return;
+        this.knownImages = new Map(this.list().map(record => [record.file, record]));
+
+        this.watcher = fs.watch(this.dir, () => {
+            clearTimeout(this.watchTimer);
+            this.watchTimer = setTimeout(() => this.emitChanges(), WATCH_DEBOUNCE);
+        });
+        this.watcher.on('error', err => {
+            console.error(`Stopped watching gallery ${this.dir}:`, err.message);
+            this.unwatch();
+        });
+    }
+
+    unwatch() {
+        clearTimeout(this.watchTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    emitChanges() {
+        const current = new Map(this.list().map(record => [record.file, record]));
+
+        for (const [file, record] of current) {
+            if (!this.knownImages.has(file)) this.emit('image-added', record);
+        }
+        for (const [file, record] of this.knownImages) {
+            if (!current.has(file)) {
+                this.untrackedTimes.delete(file);
+                this.emit('image-removed', record);
+            }
+        }
+
+        this.knownImages = current;
+    }
+
+    readIndex() {
+        if (!fs.existsSync(this.indexFile)) return [];
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+            return Array.isArray(parsed.images) ? parsed.images : [];
+        } catch (err) {
+            console.error(`Could not read gallery index ${this.indexFile}:`, err.message);
+            return [];
+        }
+    }
+
+    /**
+     * All images, newest first. Rebuilt only when the index or directory changes.
+     */
+    list() {
+        const indexMtime = fs.existsSync(this.indexFile) ? fs.statSync(this.indexFile).mtimeMs : 0;
+        const dirMtime = fs.existsSync(this.dir) ? fs.statSync(this.dir).mtimeMs : 0;
+        const cacheKey = `${indexMtime}:${dirMtime}`;
+        if (this.cache && this.cacheKey === cacheKey) {
+            return this.cache;
+        }
+
+        const files = fs.existsSync(this.dir)
+            ? fs.readdirSync(this.dir).filter(file => IMAGE_FILE_PATTERN.test(file))
+            : [];
+        const fileSet = new Set(files);
+
+        // Indexed images whose files still exist
+        const images = this.readIndex().filter(record => fileSet.has(record.file));
+        const indexedFiles = new Set(images.map(record => record.file));
+
+        for (const file of files) {
+            if (indexedFiles.has(file)) continue;
+            if (!this.untrackedTimes.has(file)) {
+                this.untrackedTimes.set(file, fs.statSync(path.join(this.dir, file)).mtime.toISOString());
+            }
+            images.push({
+                id: `file-${crypto.createHash('sha1').update(file).digest('hex').slice(0, 12)}`,
+                file,
+                prompt: null,
+                revisedPrompt: null,
+                model: null,
+                size: null,
+                source: 'external',
+                createdAt: this.untrackedTimes.get(file)
+            });
+        }
+
+        images.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        this.cache = images.map(record => ({
+            ...record,
+            url: `/image/${encodeURIComponent(record.file)}`,
+            favorite: this.favorites.has(record.id)
+        }));
+        this.cacheKey = cacheKey;
+        return this.cache;
+    }
+
+    latest() {
+        return this.list()[0] || null;
+    }
+
+    get(id) {
+        return this.list().find(record => record.id === id) || null;
+    }
+
+    findByFile(file) {
+        return this.list().find(record => record.file === file) || null;
+    }
+
+    /**
+     * Marks or unmarks an image as a favorite.
+     * @returns {object|null} The updated record, or null if there is no such image
+     */
+    setFavorite(id, favorite) {
+        if (!this.get(id)) return null;
+        if (favorite) {
+            this.favorites.add(id);
+        } else {
+            this.favorites.delete(id);
+        }
+        if (this.favoritesFile) {
+            writeJsonFile(this.favoritesFile, { ids: [...this.favorites] });
+        }
+        this.cache = null;
+        const record = this.get(id);
+        this.emit('image-updated', record);
+        return record;
+    }
+
+    /**
+     * Deletes an image file from the gallery directory.
+     * @returns {object|null} The deleted record, or null if there is no such image
+     */
+    delete(id) {
+        const record = this.get(id);
+        if (!record) return null;
+        fs.unlinkSync(path.join(this.dir, record.file));
+        if (this.favorites.delete(id) && this.favoritesFile) {
+            writeJsonFile(this.favoritesFile, { ids: [...this.favorites] });
+        }
+        this.cache = null;
+        // Tell listeners now rather than after the watcher's debounce
+        if (this.watcher) this.emitChanges();
+        return record;
+    }
+
+    /**
+     * Filters and paginates the gallery.
+     * @param {object} options
+     * @param {string} [options.q] - Case-insensitive text matched against prompts and file names
+     * @param {string} [options.from] - Only images created at or after this date
+     * @param {string} [options.to] - Only images created at or before this date
+     * @param {boolean} [options.favorite] - Only favorites
+     * @param {number} [options.page] - 1-based page number
+     * @param {number} [options.pageSize] - Images per page (max 100)
+     */
+    query({ q, from, to, favorite, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        let images = this.list();
+
+        if (favorite) {
+            images = images.filter(record => record.favorite);
+        }
+        if (q) {
+            const needle = q.toLowerCase();
+            images = images.filter(record =>
+                [record.prompt, record.revisedPrompt, record.file]
+                    .some(value => value && value.toLowerCase().includes(needle)));
+        }
+        if (from) {
+            const fromTime = new Date(from).getTime();
+            images = images.filter(record => new Date(record.createdAt).getTime() >= fromTime);
+        }
+        if (to) {
+            const toTime = new Date(to).getTime();
+            images = images.filter(record => new Date(record.createdAt).getTime() <= toTime);
+        }
+
+        const size = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+        const total = images.length;
+        const totalPages = Math.max(1, Math.ceil(total / size));
+        const currentPage = Math.max(1, page);
+
+        return {
+            images: images.slice((currentPage - 1) * size, currentPage * size),
+            page: currentPage,
+            pageSize: size,
+            total,
+            totalPages
+        };
+    }
+}
+
+module.exports = { Gallery };
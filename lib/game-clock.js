@@ -0,0 +1,91 @@
+const { EventEmitter } = require('events');
+
+const MODES = ['real', 'simulated'];
+const MAX_SPEED = 86400; // A day per second
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * The time of day in the world. In 'real' mode it follows the server's wall
+ * clock; in 'simulated' mode it runs `speed` times faster than real time
+ * (0 stops it) from the hour it was last set to. Clients are sent the hour and
+ * speed and run the clock forward themselves. Emits 'change' with the state.
+ */
+class GameClock extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.mode] - 'real' or 'simulated'
+     * @param {number} [options.speed] - Game seconds per real second when simulated
+     * @param {number} [options.startHour] - Hour (0-24) a simulated clock starts at
+     */
+    constructor({ mode = 'real', speed = 60, startHour } = {}) {
+        super();
+        this.mode = 'real';
+        this.speed = 1;
+        this.anchorHour = 0;
+        this.anchorTime = Date.now();
+        this.setBy = null;
+        this.configure({ mode, speed, hour: mode === 'simulated' ? startHour : undefined });
+    }
+
+    /** Hour of the day, 0 to 24 with a fraction. */
+    hour(time = Date.now()) {
+        if (this.mode === 'real') {
+            const date = new Date(time);
+            return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600 + date.getMilliseconds() / HOUR_MS;
+        }
+        const hour = this.anchorHour + (time - this.anchorTime) / HOUR_MS * this.speed;
+        return ((hour % 24) + 24) % 24;
+    }
+
+    state() {
+        const now = Date.now();
+        return {
+            mode: this.mode,
+            hour: this.hour(now),
+            speed: this.mode === 'real' ? 1 : this.speed,
+            serverTime: now,
+            setBy: this.setBy
+        };
+    }
+
+    /**
+     * Changes the clock. Anything left out is kept; switching to 'simulated'
+     * without an hour carries on from the current one.
+     * @param {object} changes - { mode, hour, speed }
+     * @param {string} setBy - Player name
+     */
+    set(changes, setBy) {
+        this.configure(changes || {});
+        this.setBy = setBy;
+        const state = this.state();
+        this.emit('change', state);
+        return state;
+    }
+
+    configure({ mode = this.mode, hour, speed = this.speed }) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`mode must be one of: ${MODES.join(', ')}`);
+        }
+        const newSpeed = Number(speed);
+        if (!Number.isFinite(newSpeed) || newSpeed < 0 || newSpeed > MAX_SPEED) {
+            throw new Error(`speed must be between 0 and ${MAX_SPEED}`);
+        }
+        if (hour !== undefined && hour !== null) {
+            const newHour = Number(hour);
+            if (!Number.isFinite(newHour) || newHour < 0 || newHour >= 24) {
+                throw new Error('hour must be from 0 to just under 24');
+            }
+            if (mode === 'real') {
+                throw new Error("hour can't be set in real mode");
+            }
+            this.anchorHour = newHour;
+        } else {
+            this.anchorHour = this.hour();
+        }
+        this.anchorTime = Date.now();
+        this.mode = mode;
+        this.speed = newSpeed;
+    }
+}
+
+module.exports = { GameClock };
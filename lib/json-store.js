@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads a JSON state file, returning `fallback` if it doesn't exist yet.
+ */
+function readJsonFile(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.error(`Could not read ${file}, starting fresh:`, err.message);
+        return fallback;
+    }
+}
+
+/**
+ * Writes JSON via a temp file and rename so a crash never leaves half a file.
+ */
+function writeJsonFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, file);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
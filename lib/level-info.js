@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS_DIR = path.join(__dirname, '..', 'levels');
+
+// Lot ids are named by the same module the browser builds lots with (an ES module)
+const levelIds = import('../client/level-ids.js');
+const DEG = Math.PI / 180;
+
+/**
+ * Reads a level file from levels/ by name (the game's ?level= parameter).
+ */
+function readLevel(name = 'default') {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+        throw new Error('Level names are letters, digits, - and _');
+    }
+    const file = path.join(LEVELS_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Level "${name}" not found`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * What a player can use in a level, with world positions: appliances (objects
+ * with an `interaction`), devices and doors, including those in the houses the
+ * level's `lots` place from its `templates`. `doorStates` is the server's
+ * { id: open } map.
+ * @returns {Promise<Array>}
+ */
+async function listInteractables(level, doorStates = {}) {
+    const { withIdPrefix, lotPrefix } = await levelIds;
+    const interactables = [];
+    const sites = [{ site: level, transforms: [] }];
+    for (const lot of level.lots || []) {
+        const template = (level.templates || {})[lot.template];
+        if (!template) continue;
+        sites.push({
+            site: withIdPrefix(template, lotPrefix(lot)),
+            transforms: [{ position: [lot.position[0], 0, lot.position[1]], rotation: [0, lot.rotation || 0, 0] }]
+        });
+    }
+
+    const visit = (spec, parentTransforms, room) => {
+        const transforms = [spec, ...parentTransforms];
+        if (spec.interaction) {
+            interactables.push({ id: spec.id, kind: 'appliance', interaction: spec.interaction, room, position: worldPosition(transforms) });
+        } else if (spec.device) {
+            interactables.push({
+                id: spec.id,
+                kind: 'device',
+                title: spec.device.title || spec.id,
+                tools: (spec.device.tools || []).map(tool => tool.tool),
+                room,
+                position: worldPosition(transforms)
+            });
+        }
+        (spec.children || []).forEach(child => visit(child, transforms, room));
+    };
+
+    for (const { site, transforms } of sites) {
+        for (const room of site.rooms || []) {
+            (room.objects || []).forEach(spec => visit(spec, [room, ...transforms], room.id));
+        }
+        (site.objects || []).forEach(spec => visit(spec, transforms, null));
+
+        for (const door of site.doors || []) {
+            const room = door.room ? (site.rooms || []).find(candidate => candidate.id === door.room) : null;
+            interactables.push({
+                id: door.id,
+                kind: 'door',
+                open: !!doorStates[door.id],
+                room: door.room || null,
+                position: worldPosition(room ? [door, room, ...transforms] : [door, ...transforms])
+            });
+        }
+    }
+    return interactables;
+}
+
+/**
+ * Position of the first transform in world space, given it and its ancestors
+ * (nearest first), each with an optional `position` and `rotation` in degrees
+ * applied in the same order as Three.js (XYZ Euler angles).
+ */
+function worldPosition(transforms) {
+    let point = [0, 0, 0];
+    for (const { position = [0, 0, 0], rotation } of transforms) {
+        if (rotation) point = rotate(point, rotation);
+        point = point.map((value, axis) => value + (position[axis] || 0));
+    }
+    const [x, y, z] = point.map(value => Math.round(value * 100) / 100);
+    return { x, y, z };
+}
+
+function rotate([x, y, z], [rx = 0, ry = 0, rz = 0]) {
+    // Z, then Y, then X, which is the matrix Rx * Ry * Rz
+    let cos = Math.cos(rz * DEG), sin = Math.sin(rz * DEG);
+    [x, y] = [x * cos - y * sin, x * sin + y * cos];
+    cos = Math.cos(ry * DEG); sin = Math.sin(ry * DEG);
+    [x, z] = [x * cos + z * sin, -x * sin + z * cos];
+    cos = Math.cos(rx * DEG); sin = Math.sin(rx * DEG);
+    [y, z] = [y * cos - z * sin, y * sin + z * cos];
+    return [x, y, z];
+}
+
+module.exports = { readLevel, listInteractables };
@@ -0,0 +1,89 @@
+const readline = require('readline');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+/**
+ * A single MCP server spawned as a child process and spoken to over stdio.
+ * Wraps the SDK client so the rest of the game server only deals with
+ * plain `listTools()` / `callTool()` calls.
+ */
+class McpConnection {
+    /**
+     * @param {object} options
+     * @param {string} options.name - Short name used in logs and tool routing
+     * @param {string} options.command - Executable to spawn (e.g. "node")
+     * @param {string[]} [options.args] - Arguments passed to the command
+     * @param {object} [options.env] - Extra environment variables for the child
+     * @param {string} [options.cwd] - Working directory for the child
+     * @param {Function} [options.onClose] - Called when the server process goes away
+     */
+    constructor({ name, command, args = [], env = {}, cwd, onClose }) {
+        this.name = name;
+        this.command = command;
+        this.args = args;
+        this.env = env;
+        this.cwd = cwd;
+        this.onClose = onClose;
+        this.closing = false;
+        this.client = null;
+        this.transport = null;
+        this.tools = [];
+    }
+
+    async connect() {
+        this.transport = new StdioClientTransport({
+            command: this.command,
+            args: this.args,
+            cwd: this.cwd,
+            // Inherit our environment so API keys in the shell reach the server
+            env: { ...process.env, ...this.env },
+            stderr: 'pipe'
+        });
+
+        // MCP servers log to stderr; prefix their output so it's traceable.
+        // readline keeps lines that arrive split across chunks whole
+        if (this.transport.stderr) {
+            readline.createInterface({ input: this.transport.stderr }).on('line', line => {
+                if (line.trim()) console.log(`[${this.name}] ${line}`);
+            });
+        }
+
+        this.client = new Client({ name: 'mcpgame', version: '1.0.0' }, { capabilities: {} });
+        this.client.onclose = () => {
+            // Only report closes we didn't ask for
+            if (!this.closing && this.onClose) this.onClose();
+        };
+        await this.client.connect(this.transport);
+        console.log(`Connected to MCP server "${this.name}"`);
+        return this;
+    }
+
+    /**
+     * Fetches the tool list from the server and caches it on the connection.
+     */
+    async listTools() {
+        const result = await this.client.listTools();
+        this.tools = result.tools || [];
+        return this.tools;
+    }
+
+    /**
+     * Calls a tool and returns the raw MCP result ({ content, isError }).
+     */
+    async callTool(name, args = {}) {
+        return this.client.callTool({ name, arguments: args });
+    }
+
+    async close() {
+        this.closing = true;
+        if (this.client) {
+            await this.client.close().catch(err => {
+                console.error(`Error closing MCP server "${this.name}":`, err.message);
+            });
+        }
+        this.client = null;
+        this.transport = null;
+    }
+}
+
+module.exports = { McpConnection };
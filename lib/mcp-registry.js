@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+const { McpConnection } = require('./mcp-client');
+
+const RECONNECT_BASE_DELAY = 2000;
+const RECONNECT_MAX_DELAY = 60000;
+
+/**
+ * Launches every configured MCP server, tracks its connection state and
+ * routes tool calls to the server that provides each tool.
+ *
+ * Server status is one of: 'connecting', 'connected', 'disconnected', 'error'.
+ * Emits 'status' with the server entry whenever a status changes.
+ */
+class McpRegistry extends EventEmitter {
+    /**
+     * @param {Array} serverConfigs - `mcpServers` list from loadConfig()
+     * @param {object} [options]
+     * @param {object} [options.env] - Environment defaults given to every server;
+     *   a server's own `env` entries take precedence
+     */
+    constructor(serverConfigs, { env = {} } = {}) {
+        super();
+        this.servers = serverConfigs
+            .filter(config => !config.disabled)
+            .map(config => ({
+                name: config.name,
+                config: { ...config, env: { ...env, ...config.env } },
+                status: 'disconnected',
+                error: null,
+                tools: [],
+                connection: null,
+                connectedAt: null,
+                reconnectAttempts: 0,
+                reconnectTimer: null
+            }));
+        this.stopped = false;
+    }
+
+    async start() {
+        await Promise.all(this.servers.map(server => this.connectServer(server)));
+    }
+
+    async connectServer(server) {
+        this.setStatus(server, 'connecting');
+
+        const connection = new McpConnection({
+            ...server.config,
+            onClose: () => this.handleUnexpectedClose(server, connection)
+        });
+
+        try {
+            await connection.connect();
+            server.tools = await connection.listTools();
+            server.connection = connection;
+            server.connectedAt = new Date().toISOString();
+            server.reconnectAttempts = 0;
+            console.log(`MCP server "${server.name}" provides: ${server.tools.map(tool => tool.name).join(', ') || '(no tools)'}`);
+            this.setStatus(server, 'connected');
+        } catch (err) {
+            console.error(`Failed to start MCP server "${server.name}":`, err.message);
+            await connection.close();
+            server.tools = [];
+            this.setStatus(server, 'error', err.message);
+            this.scheduleReconnect(server);
+        }
+    }
+
+    handleUnexpectedClose(server, connection) {
+        if (server.connection !== connection) return;
+        console.error(`MCP server "${server.name}" disconnected`);
+        server.connection = null;
+        server.tools = [];
+        this.setStatus(server, 'disconnected', 'Server process exited');
+        this.scheduleReconnect(server);
+    }
+
+    scheduleReconnect(server) {
+        if (this.stopped || server.reconnectTimer) return;
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** server.reconnectAttempts, RECONNECT_MAX_DELAY);
+        server.reconnectAttempts += 1;
+        server.reconnectTimer = setTimeout(() => {
+            server.reconnectTimer = null;
+            this.connectServer(server);
+        }, delay);
+        // Don't keep the process alive just to retry
+        server.reconnectTimer.unref();
+    }
+
+    setStatus(server, status, error = null) {
+        server.status = status;
+        server.error = error;
+        this.emit('status', server);
+    }
+
+    /**
+     * All tools from connected servers, each tagged with the server it came from.
+     */
+    listTools() {
+        return this.servers
+            .filter(server => server.status === 'connected')
+            .flatMap(server => server.tools.map(tool => ({ ...tool, server: server.name })));
+    }
+
+    findServerForTool(name) {
+        return this.servers.find(server =>
+            server.status === 'connected' && server.tools.some(tool => tool.name === name));
+    }
+
+    async callTool(name, args) {
+        const server = this.findServerForTool(name);
+        if (!server) {
+            throw new Error(`No connected MCP server provides the tool "${name}"`);
+        }
+        return server.connection.callTool(name, args);
+    }
+
+    /**
+     * Snapshot used by GET /api/status.
+     */
+    getStatus() {
+        const connectionDetails = this.servers.map(server => ({
+            name: server.name,
+            path: [server.config.command, ...server.config.args].join(' '),
+            status: server.status,
+            error: server.error,
+            connectedAt: server.connectedAt,
+            tools: server.tools.map(tool => tool.name)
+        }));
+
+        return {
+            overallConnected: this.servers.length > 0 && this.servers.every(server => server.status === 'connected'),
+            connectionDetails,
+            availableTools: this.listTools().map(tool => tool.name)
+        };
+    }
+
+    async stop() {
+        this.stopped = true;
+        await Promise.all(this.servers.map(async server => {
+            clearTimeout(server.reconnectTimer);
+            server.reconnectTimer = null;
+            if (server.connection) {
+                await server.connection.close();
+                server.connection = null;
+            }
+            server.status = 'disconnected';
+        }));
+    }
+}
+
+module.exports = { McpRegistry };
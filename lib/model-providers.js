@@ -0,0 +1,227 @@
+/**
+ * Model providers used by the terminal's tool-use loop.
+ *
+ * Every provider exposes `createMessage({ system, messages, tools })` and
+ * returns an Anthropic-style assistant message:
+ *   { content: [{ type: 'text', text } | { type: 'tool_use', id, name, input }], stop_reason }
+ * The game client already keeps its history in that format, so the loop can
+ * pass it through without translating.
+ *
+ * Passing `onText(delta)` asks the provider to stream: text is reported as it
+ * is produced and the complete message is still returned at the end. `signal`
+ * is an optional AbortSignal that cancels the request.
+ */
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Yields the `data:` payload of each event in a Server-Sent Events body.
+ */
+async function* readSseData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const data = rawEvent
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) yield JSON.parse(data);
+        }
+    }
+}
+
+/**
+ * Rebuilds the assistant message from a streamed Messages API response,
+ * reporting text deltas as they arrive.
+ */
+async function readAnthropicStream(body, onText) {
+    const content = [];
+    const partialJson = {};
+    let stopReason = null;
+
+    for await (const event of readSseData(body)) {
+        switch (event.type) {
+            case 'content_block_start':
+                content[event.index] = { ...event.content_block };
+                if (event.content_block.type === 'tool_use') partialJson[event.index] = '';
+                break;
+            case 'content_block_delta':
+                if (event.delta.type === 'text_delta') {
+                    content[event.index].text += event.delta.text;
+                    onText(event.delta.text);
+                } else if (event.delta.type === 'input_json_delta') {
+                    partialJson[event.index] += event.delta.partial_json;
+                }
+                break;
+            case 'content_block_stop':
+                if (event.index in partialJson) {
+                    content[event.index].input = partialJson[event.index] ? JSON.parse(partialJson[event.index]) : {};
+                }
+                break;
+            case 'message_delta':
+                stopReason = event.delta.stop_reason || stopReason;
+                break;
+            case 'error':
+                throw new Error(`Anthropic API error: ${event.error?.message || JSON.stringify(event.error)}`);
+        }
+    }
+
+    return { content: content.filter(Boolean), stop_reason: stopReason };
+}
+
+/**
+ * Calls the Anthropic Messages API directly with fetch.
+ */
+function createAnthropicProvider({
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    model = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+    maxTokens = 1024
+} = {}) {
+    if (!apiKey) {
+        throw new Error('ANTHROPIC_API_KEY is required for the "anthropic" model provider');
+    }
+
+    return {
+        name: 'anthropic',
+        async createMessage({ system, messages, tools, onText, signal }) {
+            const response = await fetch(ANTHROPIC_API_URL, {
+                signal,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': ANTHROPIC_VERSION
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: maxTokens,
+                    system,
+                    messages,
+                    tools: tools.map(tool => ({
+                        name: tool.name,
+                        description: tool.description || '',
+                        input_schema: tool.inputSchema || { type: 'object', properties: {} }
+                    })),
+                    stream: !!onText
+                })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Anthropic API error ${response.status}: ${errorText}`);
+            }
+
+            if (onText) {
+                return readAnthropicStream(response.body, onText);
+            }
+
+            const result = await response.json();
+            return { content: result.content, stop_reason: result.stop_reason };
+        }
+    };
+}
+
+/**
+ * Offline provider with canned rules, for running the game without an API key.
+ * Image-sounding requests become a `generate_image` call; everything else is
+ * answered with a short echo listing the tools that are connected.
+ */
+function createMockProvider() {
+    let callCounter = 0;
+
+    return {
+        name: 'mock',
+        async createMessage(request) {
+            const reply = replyTo(request);
+            if (request.onText) {
+                // Stream word by word so the terminal's streaming path can be exercised offline
+                for (const block of reply.content.filter(block => block.type === 'text')) {
+                    for (const word of block.text.match(/\S+\s*/g) || []) {
+                        request.signal?.throwIfAborted();
+                        request.onText(word);
+                        await new Promise(resolve => setTimeout(resolve, 20));
+                    }
+                }
+            }
+            return reply;
+        }
+    };
+
+    function replyTo({ messages, tools }) {
+        const lastMessage = messages[messages.length - 1];
+
+        // Second turn of the loop: summarize the tool results we were given
+        if (lastMessage && Array.isArray(lastMessage.content) &&
+            lastMessage.content.some(block => block.type === 'tool_result')) {
+            const summaries = lastMessage.content
+                .filter(block => block.type === 'tool_result')
+                .map(block => {
+                    const texts = (Array.isArray(block.content) ? block.content : [])
+                        .filter(part => part.type === 'text')
+                        .map(part => part.text);
+                    return block.is_error ? `The tool failed: ${texts.join('\n')}` : texts.join('\n');
+                });
+            return {
+                content: [{ type: 'text', text: summaries.join('\n\n') || 'The tool returned no output.' }],
+                stop_reason: 'end_turn'
+            };
+        }
+
+        const query = typeof lastMessage?.content === 'string' ? lastMessage.content : '';
+        const imageTool = tools.find(tool => tool.name === 'generate_image');
+        const wantsImage = /\b(?:image|picture|draw|paint|photo)\b/i.test(query);
+
+        if (imageTool && wantsImage) {
+            callCounter += 1;
+            // "draw me a picture of a cat" -> "a cat"
+            const prompt = query
+                .replace(/^.*?\b(?:image|picture|drawing|painting|photo)\s+(?:of|showing)\s+/i, '')
+                .replace(/^\s*(?:please\s+)?(?:draw|paint)\s+(?:me\s+)?/i, '')
+                .trim() || query;
+            return {
+                content: [
+                    { type: 'text', text: `Generating an image of "${prompt}".` },
+                    { type: 'tool_use', id: `mock_tool_${callCounter}`, name: 'generate_image', input: { prompt } }
+                ],
+                stop_reason: 'tool_use'
+            };
+        }
+
+        const toolNames = tools.map(tool => tool.name);
+        const toolList = toolNames.length > 0 ? toolNames.join(', ') : 'none';
+        return {
+            content: [{
+                type: 'text',
+                text: `I received your message: "${query}". Available tools: ${toolList}.`
+            }],
+            stop_reason: 'end_turn'
+        };
+    }
+}
+
+const providerFactories = {
+    anthropic: createAnthropicProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Creates a model provider by name. Without an explicit name we use Anthropic
+ * when an API key is configured and fall back to the offline mock otherwise.
+ */
+function createModelProvider(name = process.env.MODEL_PROVIDER, options = {}) {
+    const providerName = name || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'mock');
+    const factory = providerFactories[providerName];
+    if (!factory) {
+        throw new Error(`Unknown model provider "${providerName}". Available: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createModelProvider, createAnthropicProvider, createMockProvider };
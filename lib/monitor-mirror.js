@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+
+const MAX_MONITORS = 50;
+const MAX_ID_LENGTH = 100;
+const MAX_LINES = 40;
+const MAX_SENDER_LENGTH = 20;
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * What each in-world computer monitor shows: the last lines of the terminal
+ * of whoever is using it, relayed so other players in the room can watch.
+ * Only the latest screen is kept, in memory. Emits 'change' with
+ * { id, user, playerId, lines }.
+ */
+class MonitorMirror extends EventEmitter {
+    constructor() {
+        super();
+        this.monitors = new Map(); // id -> { id, user, playerId, lines, updatedAt }
+    }
+
+    /**
+     * Replaces what a monitor shows.
+     * @param {string} id - Level object id of the computer
+     * @param {object} screen - { lines: [{ sender, text }], active }: active is
+     *   false once the player closes the terminal
+     * @param {object} player - The multiplayer player sending it
+     */
+    set(id, { lines, active }, player) {
+        if (typeof id !== 'string' || !id || id.length > MAX_ID_LENGTH) {
+            throw new Error('Monitor id must be a non-empty string');
+        }
+        if (!this.monitors.has(id) && this.monitors.size >= MAX_MONITORS) {
+            throw new Error('Too many monitors');
+        }
+        if (!Array.isArray(lines)) {
+            throw new Error('lines must be an array');
+        }
+
+        const state = {
+            id,
+            user: active ? player.name : null,
+            playerId: player.id,
+            lines: lines.slice(-MAX_LINES).map(line => ({
+                sender: String(line && line.sender || '').slice(0, MAX_SENDER_LENGTH),
+                text: String(line && line.text || '').slice(0, MAX_TEXT_LENGTH)
+            })),
+            updatedAt: new Date().toISOString()
+        };
+        this.monitors.set(id, state);
+        this.emit('change', state);
+        return state;
+    }
+
+    /** Marks the player's monitors idle, e.g. when they disconnect. */
+    release(player) {
+        for (const state of this.monitors.values()) {
+            if (state.playerId === player.id && state.user) {
+                state.user = null;
+                this.emit('change', state);
+            }
+        }
+    }
+
+    snapshot() {
+        return [...this.monitors.values()];
+    }
+}
+
+module.exports = { MonitorMirror };
@@ -0,0 +1,215 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const TICK_RATE = 10; // Snapshots per second
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_NAME_LENGTH = 24;
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function sanitizeName(name, fallback) {
+    const cleaned = typeof name === 'string' ? name.replace(/[^\w \-.]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    return cleaned || fallback;
+}
+
+/**
+ * Shared world state over WebSocket. Every message is a JSON object with a
+ * `type`:
+ *
+ * Client -> server
+ *   { type: 'join', name }                                    first message
+ *   { type: 'state', position: {x, y, z}, rotation: {x, y} }  local player pose
+ *
+ * Server -> client
+ *   { type: 'welcome', id, tickRate, players }   reply to join
+ *   { type: 'player-joined', player }
+ *   { type: 'player-left', id }
+ *   { type: 'snapshot', tick, time, players }    every tick while players are connected
+ *   { type: 'error', message }
+ *
+ * Other features add message types with handle(type, handler).
+ */
+class MultiplayerServer extends EventEmitter {
+    constructor({ tickRate = TICK_RATE } = {}) {
+        super();
+        this.tickRate = tickRate;
+        this.players = new Map(); // id -> { id, name, position, rotation, socket, alive }
+        this.handlers = new Map();
+        this.tick = 0;
+        this.wss = null;
+        this.tickTimer = null;
+        this.heartbeatTimer = null;
+
+        this.handle('state', (player, message) => this.updatePlayerState(player, message));
+    }
+
+    /**
+     * Starts accepting WebSocket connections on the given HTTP server.
+     */
+    attach(httpServer, path = '/ws') {
+        this.wss = new WebSocketServer({ server: httpServer, path });
+        this.wss.on('connection', socket => this.handleConnection(socket));
+
+        this.tickTimer = setInterval(() => this.broadcastSnapshot(), 1000 / this.tickRate);
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL);
+        console.log(`Multiplayer WebSocket server listening on ${path}`);
+    }
+
+    /**
+     * Registers a handler for a client message type: handler(player, message).
+     */
+    handle(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    handleConnection(socket) {
+        let player = null;
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (err) {
+                this.sendTo(socket, { type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+                this.sendTo(socket, { type: 'error', message: 'Messages must be JSON objects with a string type' });
+                return;
+            }
+
+            if (!player) {
+                if (message.type !== 'join') {
+                    this.sendTo(socket, { type: 'error', message: 'Send a join message first' });
+                    return;
+                }
+                player = this.addPlayer(socket, message.name);
+                return;
+            }
+
+            const handler = this.handlers.get(message.type);
+            if (!handler) {
+                this.sendTo(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+                return;
+            }
+
+            try {
+                handler(player, message);
+            } catch (err) {
+                console.error(`Error handling ${message.type} from ${player.name}:`, err);
+                this.sendTo(socket, { type: 'error', message: err.message });
+            }
+        });
+
+        socket.on('close', () => {
+            if (player) this.removePlayer(player);
+        });
+    }
+
+    addPlayer(socket, name) {
+        const id = crypto.randomBytes(4).toString('hex');
+        const player = {
+            id,
+            name: sanitizeName(name, `Player-${id.slice(0, 4)}`),
+            position: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0 },
+            socket
+        };
+        this.players.set(id, player);
+
+        this.sendTo(socket, {
+            type: 'welcome',
+            id,
+            tickRate: this.tickRate,
+            players: this.serializePlayers()
+        });
+        this.broadcast({ type: 'player-joined', player: this.serializePlayer(player) }, player);
+        console.log(`Player ${player.name} (${id}) joined, ${this.players.size} online`);
+        this.emit('player-joined', player);
+        return player;
+    }
+
+    removePlayer(player) {
+        if (!this.players.delete(player.id)) return;
+        this.broadcast({ type: 'player-left', id: player.id });
+        console.log(`Player ${player.name} (${player.id}) left, ${this.players.size} online`);
+        this.emit('player-left', player);
+    }
+
+    updatePlayerState(player, { position, rotation }) {
+        if (position && ['x', 'y', 'z'].every(axis => isFiniteNumber(position[axis]))) {
+            player.position = { x: position.x, y: position.y, z: position.z };
+        }
+        if (rotation && ['x', 'y'].every(axis => isFiniteNumber(rotation[axis]))) {
+            player.rotation = { x: rotation.x, y: rotation.y };
+        }
+    }
+
+    /** A joined player by id, or by name ignoring case. */
+    findPlayer(idOrName) {
+        if (typeof idOrName !== 'string') return null;
+        if (this.players.has(idOrName)) return this.players.get(idOrName);
+        const name = idOrName.toLowerCase();
+        return [...this.players.values()].find(player => player.name.toLowerCase() === name) || null;
+    }
+
+    serializePlayer(player) {
+        return { id: player.id, name: player.name, position: player.position, rotation: player.rotation };
+    }
+
+    serializePlayers() {
+        return [...this.players.values()].map(player => this.serializePlayer(player));
+    }
+
+    broadcastSnapshot() {
+        if (this.players.size === 0) return;
+        this.tick += 1;
+        this.broadcast({ type: 'snapshot', tick: this.tick, time: Date.now(), players: this.serializePlayers() });
+    }
+
+    sendTo(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Sends a message to every joined player, optionally skipping one.
+     */
+    broadcast(message, exceptPlayer = null) {
+        const data = JSON.stringify(message);
+        for (const player of this.players.values()) {
+            if (player !== exceptPlayer && player.socket.readyState === WebSocket.OPEN) {
+                player.socket.send(data);
+            }
+        }
+    }
+
+    // Drop connections that stopped answering pings
+    checkHeartbeats() {
+        for (const socket of this.wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }
+
+    close() {
+        clearInterval(this.tickTimer);
+        clearInterval(this.heartbeatTimer);
+        if (this.wss) {
+            for (const socket of this.wss.clients) socket.terminate();
+            this.wss.close();
+        }
+    }
+}
+
+module.exports = { MultiplayerServer };
@@ -0,0 +1,116 @@
+/**
+ * Runs a terminal query through the model, executing any MCP tools the model
+ * asks for until it produces a final answer.
+ */
+
+const MAX_TOOL_ITERATIONS = 8;
+
+const SYSTEM_PROMPT = 'You are the MCP terminal inside a virtual house game. ' +
+    'Use the available tools to carry out what the player asks, then answer briefly. ' +
+    'Generated images are saved to the gallery shown on the living room TV.';
+
+/**
+ * Converts MCP tool result content into Anthropic tool_result content blocks.
+ */
+function toToolResultContent(mcpContent = []) {
+    const blocks = [];
+    for (const item of mcpContent) {
+        if (item.type === 'text') {
+            blocks.push({ type: 'text', text: item.text });
+        } else if (item.type === 'image' && item.data) {
+            blocks.push({
+                type: 'image',
+                source: { type: 'base64', media_type: item.mimeType || 'image/png', data: item.data }
+            });
+        } else {
+            // Resources and unknown types are passed to the model as JSON text
+            blocks.push({ type: 'text', text: JSON.stringify(item) });
+        }
+    }
+    return blocks;
+}
+
+function extractText(content) {
+    return content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n')
+        .trim();
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.provider - Model provider from model-providers.js
+ * @param {object} options.toolbox - Object with listTools() and callTool(name, args)
+ * @param {string} options.query - The player's new message
+ * @param {Array} [options.history] - Prior messages in Anthropic format
+ * @param {Function} [options.onEvent] - Streams progress: { type: 'text', delta },
+ *   { type: 'tool_call', id, name, input } and { type: 'tool_result', id, name, isError, content }
+ * @param {AbortSignal} [options.signal] - Stops the loop between steps and cancels model requests
+ * @returns {Promise<{response: string, spokenResponse: string, toolCalls: Array, messages: Array}>}
+ *   `response` is the last model turn's text, empty if it ended without any
+ */
+async function runQuery({ provider, toolbox, query, history = [], maxIterations = MAX_TOOL_ITERATIONS, onEvent, signal }) {
+    const tools = toolbox.listTools();
+    const messages = [...history, { role: 'user', content: query }];
+    const toolCalls = [];
+    let finalText = ''; // The last model turn's text only; earlier turns were already streamed
+    let finished = false;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const reply = await provider.createMessage({
+            system: SYSTEM_PROMPT,
+            messages,
+            tools,
+            onText: onEvent ? delta => onEvent({ type: 'text', delta }) : undefined,
+            signal
+        });
+        signal?.throwIfAborted();
+        messages.push({ role: 'assistant', content: reply.content });
+
+        const toolUses = reply.content.filter(block => block.type === 'tool_use');
+        finalText = extractText(reply.content);
+
+        if (toolUses.length === 0) {
+            finished = true;
+            break;
+        }
+
+        const toolResults = [];
+        for (const toolUse of toolUses) {
+            signal?.throwIfAborted();
+            console.log(`Calling tool ${toolUse.name} with`, JSON.stringify(toolUse.input));
+            onEvent?.({ type: 'tool_call', id: toolUse.id, name: toolUse.name, input: toolUse.input });
+            let result;
+            try {
+                result = await toolbox.callTool(toolUse.name, toolUse.input || {});
+            } catch (err) {
+                console.error(`Tool ${toolUse.name} failed:`, err);
+                result = { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+            }
+
+            toolCalls.push({ name: toolUse.name, input: toolUse.input, result });
+            onEvent?.({ type: 'tool_result', id: toolUse.id, name: toolUse.name, isError: !!result.isError, content: result.content || [] });
+            toolResults.push({
+                type: 'tool_result',
+                tool_use_id: toolUse.id,
+                content: toToolResultContent(result.content),
+                is_error: !!result.isError
+            });
+        }
+
+        messages.push({ role: 'user', content: toolResults });
+    }
+
+    const response = finished
+        ? finalText
+        : `Stopped after ${maxIterations} steps without a final answer.`;
+    return {
+        response,
+        spokenResponse: response,
+        toolCalls,
+        messages
+    };
+}
+
+module.exports = { runQuery, toToolResultContent };
@@ -0,0 +1,53 @@
+const path = require('path');
+
+/**
+ * Prepares MCP tool result content for the terminal.
+ *
+ * Content keeps its MCP shape (text, image, resource) with two changes:
+ * images that are also in the gallery (openai-server puts the id in each image
+ * item's `_meta.galleryId`) are sent as a URL plus their gallery id instead of
+ * base64, and gallery file paths in text become markdown links the terminal
+ * can open.
+ */
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function linkGalleryPaths(text, galleryDir) {
+    const pattern = new RegExp(`${escapeRegExp(galleryDir + path.sep)}([^\\s)\\]]+)`, 'g');
+    return text.replace(pattern, (match, file) => `[${file}](/image/${encodeURIComponent(file)})`);
+}
+
+/**
+ * @param {Array} content - MCP content items from a tool result
+ * @param {object} options
+ * @param {object} options.gallery - Gallery instance used to resolve ids
+ * @param {string} options.galleryDir - Absolute gallery directory
+ * @returns {Array} Display content items
+ */
+function toDisplayContent(content = [], { gallery, galleryDir }) {
+    return content.map(item => {
+        if (item.type === 'text') {
+            return { type: 'text', text: linkGalleryPaths(item.text, galleryDir) };
+        }
+        if (item.type === 'image') {
+            const galleryId = item._meta && item._meta.galleryId;
+            const image = typeof galleryId === 'string' ? gallery.get(galleryId) : null;
+            if (image) {
+                return { type: 'image', mimeType: item.mimeType, url: image.url, imageId: image.id, prompt: image.prompt };
+            }
+            return { type: 'image', mimeType: item.mimeType, data: item.data };
+        }
+        if (item.type === 'resource' && item.resource) {
+            const { uri, mimeType, text, blob } = item.resource;
+            // Binary resources are only described; the terminal can't show them
+            return blob
+                ? { type: 'resource', uri, mimeType, size: Buffer.byteLength(blob, 'base64') }
+                : { type: 'resource', uri, mimeType, text };
+        }
+        return item;
+    });
+}
+
+module.exports = { toDisplayContent, linkGalleryPaths };
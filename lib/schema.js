@@ -0,0 +1,99 @@
+/**
+ * Minimal JSON Schema checks for MCP tool arguments.
+ *
+ * Covers the keywords tool input schemas actually use: type, properties,
+ * required, additionalProperties, enum, items, and numeric/length bounds.
+ * Anything else is ignored, so the tool itself has the final say.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function describe(path) {
+    return path || 'arguments';
+}
+
+/**
+ * @param {object} schema - A tool's inputSchema
+ * @param {*} value - The arguments to check
+ * @param {string} [path] - Location prefix used in messages
+ * @returns {string[]} One message per problem; empty when the value is valid
+ */
+function validate(schema, value, path = '') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${describe(path)} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${describe(path)} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push(`${describe(path)} must be >= ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            errors.push(`${describe(path)} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            errors.push(`${describe(path)} must be at least ${schema.minLength} characters`);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            errors.push(`${describe(path)} must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            errors.push(`${describe(path)} must have at least ${schema.minItems} items`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            errors.push(`${describe(path)} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${describe(path)}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path ? `${path}.` : ''}${key} is required`);
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertyPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validate(properties[key], propertyValue, propertyPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${propertyPath} is not an allowed argument`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, propertyValue, propertyPath));
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
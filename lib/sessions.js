@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const DEFAULT_MAX_CONTEXT_MESSAGES = 20;
+const SESSION_ID_PATTERN = /^[a-f0-9]{16}$/;
+const TITLE_LENGTH = 40;
+
+/**
+ * Drops image payloads from stored messages; the model saw them once and
+ * they would bloat every session file and later request.
+ */
+function stripImageData(messages) {
+    return messages.map(message => {
+        if (!Array.isArray(message.content)) return message;
+        return {
+            ...message,
+            content: message.content.map(block => {
+                if (block.type === 'image') return { type: 'text', text: '[image omitted]' };
+                if (block.type === 'tool_result' && Array.isArray(block.content)) {
+                    return { ...block, content: stripImageData([{ content: block.content }])[0].content };
+                }
+                return block;
+            })
+        };
+    });
+}
+
+function isQuestion(message) {
+    return message.role === 'user' && typeof message.content === 'string';
+}
+
+/**
+ * Keeps the newest messages that fit in `max`, starting at a plain user
+ * message so a tool_result is never sent without the tool_use before it.
+ * When the last exchange alone is longer than `max` (a long tool chain), it is
+ * kept whole rather than dropping everything.
+ */
+function trimContext(messages, max) {
+    if (messages.length <= max) return messages;
+    let start = messages.length - max;
+    while (start < messages.length && !isQuestion(messages[start])) start++;
+    if (start === messages.length) {
+        start = messages.length - max;
+        while (start > 0 && !isQuestion(messages[start])) start--;
+    }
+    return messages.slice(start);
+}
+
+/**
+ * Flattens stored messages into terminal lines: { sender, text }.
+ */
+function toTranscript(messages) {
+    const lines = [];
+    for (const message of messages) {
+        if (typeof message.content === 'string') {
+            lines.push({ sender: message.role === 'user' ? 'You' : 'AI', text: message.content });
+            continue;
+        }
+        for (const block of message.content) {
+            if (block.type === 'text' && message.role === 'assistant') {
+                lines.push({ sender: 'AI', text: block.text });
+            } else if (block.type === 'tool_use') {
+                lines.push({ sender: 'Tool', text: `${block.name} ${JSON.stringify(block.input)}` });
+            }
+        }
+    }
+    return lines;
+}
+
+/**
+ * Terminal conversations stored one JSON file per session, so a player can
+ * close the terminal and pick the conversation back up later.
+ */
+class SessionStore {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory holding <id>.json session files
+     * @param {number} [options.maxContextMessages] - Messages sent to the model per query
+     */
+    constructor({ dir, maxContextMessages = DEFAULT_MAX_CONTEXT_MESSAGES }) {
+        this.dir = dir;
+        this.maxContextMessages = maxContextMessages;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fileFor(id) {
+        if (!SESSION_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid session id: ${id}`);
+        }
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    create({ owner, title = null }) {
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomBytes(8).toString('hex'),
+            owner,
+            title,
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+        this.save(session);
+        return session;
+    }
+
+    get(id) {
+        if (!SESSION_ID_PATTERN.test(id)) return null;
+        return readJsonFile(this.fileFor(id), null);
+    }
+
+    save(session) {
+        writeJsonFile(this.fileFor(session.id), session);
+    }
+
+    /**
+     * Session summaries for one owner, most recently used first.
+     */
+    list(owner) {
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => readJsonFile(path.join(this.dir, file), null))
+            .filter(session => session && (!owner || session.owner === owner))
+            .map(summarize)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Messages to send to the model for the next query.
+     */
+    getContext(session) {
+        return trimContext(session.messages, this.maxContextMessages);
+    }
+
+    /**
+     * Adds the messages produced by one query and saves the session. The file
+     * is read again first, so a query that ran for a while doesn't undo a clear
+     * or another query's messages saved meanwhile.
+     * @returns {object|null} The saved session, or null if it was deleted meanwhile
+     */
+    append({ id }, newMessages) {
+        const session = this.get(id);
+        if (!session) return null;
+        session.messages.push(...stripImageData(newMessages));
+        if (!session.title) {
+            const firstQuestion = session.messages.find(message => message.role === 'user' && typeof message.content === 'string');
+            if (firstQuestion) session.title = firstQuestion.content.slice(0, TITLE_LENGTH);
+        }
+        session.updatedAt = new Date().toISOString();
+        this.save(session);
+        return session;
+    }
+
+    clear(session) {
+        session.messages = [];
+        session.updatedAt = new Date().toISOString();
+        this.save(session);
+        return session;
+    }
+
+    delete(id) {
+        const file = this.fileFor(id);
+        if (!fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+}
+
+function summarize(session) {
+    return {
+        id: session.id,
+        owner: session.owner,
+        title: session.title,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        messageCount: session.messages.length
+    };
+}
+
+module.exports = { SessionStore, trimContext, toTranscript, summarize };
@@ -0,0 +1,31 @@
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Turns an Express response into a Server-Sent Events stream.
+ * Returns `send(event, data)`; the stream is cleaned up when the client
+ * disconnects, after which `onClose` runs.
+ */
+function openEventStream(req, res, onClose) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        if (onClose) onClose();
+    });
+
+    return function send(event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,77 @@
+const { EventEmitter } = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const HISTORY_LIMIT = 200;
+// After someone picks an image, new gallery images don't take over the TV for this long
+const AUTO_ADVANCE_HOLD = 5000;
+
+/**
+ * What the living room TV is showing, owned by the server so every player
+ * sees the same picture. Emits 'change' with the new channel state.
+ */
+class TvChannel extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.file - JSON file holding the current state and history
+     */
+    constructor({ file }) {
+        super();
+        this.file = file;
+        const saved = readJsonFile(file, {});
+        this.current = saved.current || null;
+        this.history = Array.isArray(saved.history) ? saved.history : [];
+    }
+
+    /**
+     * Puts a gallery image on the TV.
+     * @param {object} image - Gallery record (id, file, url, prompt)
+     * @param {string} setBy - Player name or a system source such as "gallery"
+     */
+    show(image, setBy) {
+        this.current = {
+            imageId: image.id,
+            imageUrl: image.url,
+            file: image.file,
+            prompt: image.prompt || null,
+            setBy,
+            setAt: new Date().toISOString()
+        };
+        this.history.unshift(this.current);
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history.length = HISTORY_LIMIT;
+        }
+        this.save();
+        this.emit('change', this.current);
+        return this.current;
+    }
+
+    /**
+     * Shows a newly arrived image unless a player changed the channel moments ago.
+     */
+    autoShow(image, setBy) {
+        if (this.current && Date.now() - new Date(this.current.setAt).getTime() < AUTO_ADVANCE_HOLD) {
+            return null;
+        }
+        return this.show(image, setBy);
+    }
+
+    clear() {
+        this.current = null;
+        this.save();
+        this.emit('change', null);
+    }
+
+    getHistory(limit = 20) {
+        return this.history.slice(0, limit);
+    }
+
+    save() {
+        try {
+            writeJsonFile(this.file, { current: this.current, history: this.history });
+        } catch (err) {
+            console.error(`Could not save TV channel state to ${this.file}:`, err.message);
+        }
+    }
+}
+
+module.exports = { TvChannel };
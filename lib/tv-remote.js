@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+
+const MIN_SLIDESHOW_INTERVAL = 3; // Seconds
+const MAX_SLIDESHOW_INTERVAL = 3600;
+const DEFAULT_SLIDESHOW_INTERVAL = 10;
+
+/**
+ * Channel surfing for the shared TV: stepping through the gallery and a
+ * slideshow. The server runs the slideshow, so it keeps going for everyone
+ * when the player who started it walks away. Emits 'slideshow' with the
+ * slideshow state, or null when it stops.
+ */
+class TvRemote extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {TvChannel} options.tvChannel
+     * @param {Gallery} options.gallery
+     */
+    constructor({ tvChannel, gallery }) {
+        super();
+        this.tvChannel = tvChannel;
+        this.gallery = gallery;
+        this.slideshow = null; // { interval, favoritesOnly, startedBy, startedAt }
+        this.slideshowTimer = null;
+    }
+
+    /**
+     * Shows the next (direction 1, older) or previous (-1, newer) gallery image,
+     * wrapping around at either end.
+     * @returns {object|null} The new channel, or null if there is nothing to show
+     */
+    step(direction, setBy, { favoritesOnly = false } = {}) {
+        const images = this.gallery.list().filter(image => !favoritesOnly || image.favorite);
+        if (images.length === 0) return null;
+
+        const current = this.tvChannel.current;
+        const index = current ? images.findIndex(image => image.id === current.imageId) : -1;
+        let next;
+        if (index === -1) {
+            next = direction < 0 ? images.length - 1 : 0;
+        } else {
+            next = (index + (direction < 0 ? -1 : 1) + images.length) % images.length;
+        }
+        return this.tvChannel.show(images[next], setBy);
+    }
+
+    /**
+     * Starts (or reconfigures) the slideshow.
+     * @param {object} options
+     * @param {number} [options.interval] - Seconds per image (3 to 3600)
+     * @param {boolean} [options.favoritesOnly]
+     * @param {string} startedBy - Player name
+     */
+    startSlideshow({ interval = DEFAULT_SLIDESHOW_INTERVAL, favoritesOnly = false } = {}, startedBy) {
+        const seconds = Number(interval);
+        if (!Number.isFinite(seconds) || seconds < MIN_SLIDESHOW_INTERVAL || seconds > MAX_SLIDESHOW_INTERVAL) {
+            throw new Error(`interval must be between ${MIN_SLIDESHOW_INTERVAL} and ${MAX_SLIDESHOW_INTERVAL} seconds`);
+        }
+
+        clearInterval(this.slideshowTimer);
+        this.slideshow = {
+            interval: seconds,
+            favoritesOnly: !!favoritesOnly,
+            startedBy,
+            startedAt: new Date().toISOString()
+        };
+        this.slideshowTimer = setInterval(() => {
+            try {
+                this.step(1, 'slideshow', { favoritesOnly: this.slideshow.favoritesOnly });
+            } catch (err) {
+                console.error('Slideshow could not advance:', err.message);
+            }
+        }, seconds * 1000);
+        this.emit('slideshow', this.slideshow);
+        return this.slideshow;
+    }
+
+    stopSlideshow() {
+        if (!this.slideshow) return;
+        clearInterval(this.slideshowTimer);
+        this.slideshowTimer = null;
+        this.slideshow = null;
+        this.emit('slideshow', null);
+    }
+}
+
+module.exports = { TvRemote };
@@ -0,0 +1,48 @@
+const { EventEmitter } = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const CONDITIONS = ['clear', 'overcast', 'rain', 'fog', 'snow'];
+const DEFAULT_INTENSITY = 0.6;
+
+/**
+ * The weather over the world, owned by the server so every player sees the
+ * same sky. `intensity` (0 to 1) is how heavy rain or snow falls. Saved to a
+ * JSON file so it survives restarts. Emits 'change' with the new state.
+ */
+class Weather extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.file - JSON file holding the current weather
+     */
+    constructor({ file }) {
+        super();
+        this.file = file;
+        const saved = readJsonFile(file, {});
+        this.current = CONDITIONS.includes(saved.condition)
+            ? saved
+            : { condition: 'clear', intensity: DEFAULT_INTENSITY, setBy: null, setAt: null };
+    }
+
+    /**
+     * @param {string} condition - One of CONDITIONS
+     * @param {object} [options]
+     * @param {number} [options.intensity] - 0 to 1
+     * @param {string} setBy - Player name, or "terminal" for the MCP tool
+     */
+    set(condition, { intensity = DEFAULT_INTENSITY } = {}, setBy) {
+        if (!CONDITIONS.includes(condition)) {
+            throw new Error(`condition must be one of: ${CONDITIONS.join(', ')}`);
+        }
+        const amount = Number(intensity);
+        if (!Number.isFinite(amount) || amount < 0 || amount > 1) {
+            throw new Error('intensity must be between 0 and 1');
+        }
+
+        this.current = { condition, intensity: amount, setBy, setAt: new Date().toISOString() };
+        writeJsonFile(this.file, this.current);
+        this.emit('change', this.current);
+        return this.current;
+    }
+}
+
+module.exports = { Weather, CONDITIONS };
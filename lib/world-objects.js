@@ -0,0 +1,113 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const SHAPES = ['box', 'sphere', 'cylinder', 'cone'];
+const MAX_OBJECTS = 200;
+const MAX_COORDINATE = 500;
+const MAX_SIZE = 20;
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * Objects added to the world at runtime, e.g. by the game MCP server. Each is
+ * stored with a level-file object spec, so clients build it the same way as
+ * the level. Saved to a JSON file so they survive restarts. Emits 'spawned'
+ * with the object and 'removed' with its id.
+ */
+class WorldObjects extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.file - JSON file holding the spawned objects
+     */
+    constructor({ file }) {
+        super();
+        this.file = file;
+        const saved = readJsonFile(file, {});
+        this.objects = new Map((Array.isArray(saved.objects) ? saved.objects : []).map(object => [object.id, object]));
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} options.shape - One of SHAPES
+     * @param {number[]} options.position - [x, y, z]; y is the bottom of the
+     *   object, 0 being the ground
+     * @param {number} [options.size] - Width in meters
+     * @param {string} [options.color] - CSS color name or #rrggbb
+     * @param {number} [options.rotation] - Turn about the vertical axis, in degrees
+     * @param {string} [options.label]
+     * @param {string} spawnedBy
+     */
+    spawn({ shape, position, size = 1, color = '#D2691E', rotation = 0, label }, spawnedBy) {
+        if (!SHAPES.includes(shape)) {
+            throw new Error(`shape must be one of: ${SHAPES.join(', ')}`);
+        }
+        if (!Array.isArray(position) || position.length !== 3
+            || !position.every(value => Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE)) {
+            throw new Error(`position must be [x, y, z] within ${MAX_COORDINATE} meters of the center`);
+        }
+        if (!Number.isFinite(size) || size <= 0 || size > MAX_SIZE) {
+            throw new Error(`size must be more than 0 and at most ${MAX_SIZE} meters`);
+        }
+        if (typeof color !== 'string' || !/^(#[0-9a-f]{6}|[a-z]{3,20})$/i.test(color)) {
+            throw new Error('color must be a color name or #rrggbb');
+        }
+        if (!Number.isFinite(rotation)) {
+            throw new Error('rotation must be a number of degrees');
+        }
+        if (this.objects.size >= MAX_OBJECTS) {
+            throw new Error(`There are already ${MAX_OBJECTS} spawned objects; remove some first`);
+        }
+
+        const [x, y, z] = position;
+        const id = `spawned-${crypto.randomBytes(4).toString('hex')}`;
+        const object = {
+            id,
+            shape,
+            label: typeof label === 'string' && label.trim() ? label.trim().slice(0, MAX_LABEL_LENGTH) : shape,
+            spec: {
+                id,
+                type: shape,
+                size: geometrySize(shape, size),
+                position: [x, y + size / 2, z], // Shapes are centered on their origin
+                rotation: [0, rotation, 0],
+                material: { color },
+                castShadow: true,
+                receiveShadow: true,
+                collider: 'box'
+            },
+            spawnedBy,
+            spawnedAt: new Date().toISOString()
+        };
+        this.objects.set(id, object);
+        this.save();
+        this.emit('spawned', object);
+        return object;
+    }
+
+    remove(id) {
+        if (!this.objects.delete(id)) return false;
+        this.save();
+        this.emit('removed', id);
+        return true;
+    }
+
+    list() {
+        return [...this.objects.values()];
+    }
+
+    save() {
+        writeJsonFile(this.file, { objects: this.list() });
+    }
+}
+
+/** Level-file geometry arguments for a shape `size` meters wide and tall. */
+function geometrySize(shape, size) {
+    switch (shape) {
+        case 'sphere': return [size / 2, 16, 12];
+        case 'cylinder': return [size / 2, size / 2, size, 16];
+        case 'cone': return [size / 2, size, 16];
+        default: return [size, size, size];
+    }
+}
+
+module.exports = { WorldObjects, SHAPES };
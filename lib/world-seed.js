@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+/**
+ * The seed every client generates the outdoor world from (terrain, trees,
+ * rocks and flowers), so all players share one world and agree on where the
+ * trees they collide with stand. A configured seed wins; otherwise one is
+ * picked on the first start and saved to `file`, keeping the world the same
+ * across restarts.
+ */
+function loadWorldSeed({ seed, file }) {
+    if (seed !== undefined && seed !== null && String(seed).trim()) return String(seed).trim();
+    const saved = readJsonFile(file, {});
+    if (typeof saved.seed === 'string' && saved.seed) return saved.seed;
+    const created = crypto.randomBytes(4).toString('hex');
+    writeJsonFile(file, { seed: created });
+    return created;
+}
+
+module.exports = { loadWorldSeed };
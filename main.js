@@ -1,14 +1,31 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'; // Optional for camera control
+import { MultiplayerClient, RemotePlayers } from './client/multiplayer.js';
+import { TerminalCommands } from './client/terminal-commands.js';
+import { renderMarkdown, renderToolContent } from './client/rich-text.js';
+import { loadLevel, buildLevel } from './client/level-loader.js';
+import { CollisionWorld } from './client/collision.js';
+import { Doors } from './client/doors.js';
+import { Interactables } from './client/interactables.js';
+import { DevicePanel } from './client/device-panel.js';
+import { TvScreen } from './client/tv-screen.js';
+import { TvRemoteUi } from './client/tv-remote.js';
+import { MonitorScreen } from './client/monitor-screen.js';
+import { DayNightCycle } from './client/day-night.js';
+import { WeatherEffects } from './client/weather.js';
+import { SpawnedObjects } from './client/spawned-objects.js';
 
 // --- Configuration ---
-const MCP_BACKEND_URL = 'http://localhost:3001'; // MCP Terminal backend connection
+const MCP_BACKEND_URL = 'http://localhost:3002'; // MCP Terminal backend (server.js bridges to the MCP servers)
 const IMAGE_SERVER_URL = 'http://localhost:3002'; // Image server connection
+const MULTIPLAYER_URL = `${IMAGE_SERVER_URL.replace(/^http/, 'ws')}/ws`; // Shared world state
 const INTERACTION_DISTANCE = 3.5; // How close the player needs to be to interactive objects
 const PLAYER_HEIGHT = 1.7; // Player eye level in meters
 const PLAYER_MOVE_SPEED = 5.0; // Movement speed
 const PLAYER_TURN_SPEED = 0.03; // Mouse sensitivity
-const WORLD_SIZE = 100; // Size of the outdoor terrain
+const PLAYER_RADIUS = 0.3; // How close the player can get to walls and furniture
+const PLAYER_STEP_HEIGHT = 0.3; // Obstacles lower than this are walked over
+const MONITOR_SYNC_INTERVAL = 300; // Milliseconds between sending the terminal screen to other players
 
 // --- DOM Elements ---
 const canvas = document.getElementById('gameCanvas');
@@ -20,29 +37,41 @@ const terminalInput = document.getElementById('terminalInput');
 // --- State ---
 let scene, camera, renderer; // Three.js basics
 let player = { position: new THREE.Vector3(0, PLAYER_HEIGHT, 20), rotation: new THREE.Euler(0, 0, 0) }; 
-let imageDisplay, currentImageTexture; // Game objects
-let house, tv, computer, tvRemote; // House and interactive objects
-let terrain, trees = []; // Outdoor environment
+let tvScreen; // Picture on the TV
+let computerScreen; // Terminal transcript on the computer monitor
+let monitorSyncTimer = null; // Pending send of the monitor to other players
+let house, tvRemote; // House and the TV remote prop
+let level; // Built level: named objects, colliders, rooms, doors and the streamed terrain
+let collisions; // Colliders the player moves against
+let doors; // Hinged doors and whether they're open
+let skyGroup; // Sky dome and clouds, kept centered on the player
+let dayNight; // Sun, sky and lamps for the time of day
+let weather; // Fog, clouds and rain or snow, as the server says
+let spawnedObjects; // Shapes added to the world while the game runs
 let keysPressed = {}; // Keyboard state
 let mouseLocked = false;
 const clock = new THREE.Clock();
 let isTerminalOpen = false;
-let playerNearTV = false; // Flag for TV interaction
-let playerNearComputer = false; // Flag for computer interaction
-let playerNearDoor = false; // Flag for door interaction
-let messageHistory = []; // Store conversation for context
+let interactables; // Objects the player can use with Enter, and which one has focus
+let devicePanel; // Form for the in-world device being used (mailbox, bookshelf, radio)
+let activeSessionId = localStorage.getItem('mcpgame.sessionId'); // Server-side terminal conversation
+let activeQuery = null; // AbortController of the streaming terminal query
+let terminalCommands; // Slash commands typed into the MCP terminal
 let lastCheckedImageTime = 0; // Track when we last checked for new images
-let interactionType = ''; // 'tv', 'computer', or empty
+let imagePollTimer = null; // Fallback polling while the event stream is down
+let multiplayer, remotePlayers; // Networking and other players' avatars
+let tvRemoteUi; // TV remote overlay: channels, slideshow and gallery
 
 // --- Backend Interaction ---
 
 /**
  * Fetches the connection status from the backend and updates the terminal UI.
- * Handles the new detailed status format from server.ts.
+ * Renders one line per MCP server with its state and tool count.
  */
 async function fetchStatus() {
+    const header = "MCP TERMINAL";
     try {
-        terminalStatus.textContent = "Connecting to MCP Backend..."; // Initial message
+        terminalStatus.textContent = `${header}\nConnecting to MCP Backend...`; // Initial message
         const response = await fetch(`${MCP_BACKEND_URL}/api/status`);
 
         if (!response.ok) {
@@ -63,33 +92,67 @@ async function fetchStatus() {
         const status = await response.json();
         console.log("Status Response:", status); // Log for debugging only
 
-        // Just display "MCP TERMINAL" regardless of connection status
-        terminalStatus.textContent = "MCP TERMINAL";
+        terminalStatus.textContent = formatStatus(header, status);
 
     } catch (error) {
         console.error("Error fetching status:", error);
-        // Even on error, just display MCP TERMINAL
-        terminalStatus.textContent = "MCP TERMINAL";
+        terminalStatus.textContent = `${header}\nBackend unreachable: ${error.message}`;
     }
 }
 
+/**
+ * Builds the terminal header text from an /api/status response.
+ */
+function formatStatus(header, status) {
+    const servers = status.connectionDetails || [];
+    const connectedCount = servers.filter(server => server.status === 'connected').length;
+    const toolCount = (status.availableTools || []).length;
+    const lines = [`${header} - ${connectedCount}/${servers.length} servers connected, ${toolCount} tools`];
+
+    for (const server of servers) {
+        const marker = server.status === 'connected' ? '●' : '○';
+        const tools = server.tools || [];
+        let line = `${marker} ${server.name}: ${server.status}`;
+        if (server.status === 'connected') {
+            line += ` (${tools.length} tool${tools.length === 1 ? '' : 's'}: ${tools.join(', ')})`;
+        } else if (server.error) {
+            line += ` - ${server.error}`;
+        }
+        lines.push(line);
+    }
+
+    if (servers.length === 0) {
+        lines.push("No MCP servers configured");
+    }
+    return lines.join('\n');
+}
+
 
 async function sendQuery(queryText) {
     if (!queryText.trim()) return;
+    if (activeQuery) {
+        addMessageToLog("System", "Still answering. Press Ctrl+C to cancel.");
+        return;
+    }
 
     addMessageToLog("You", queryText);
     terminalInput.value = ''; // Clear input
 
-    // --- Add user message to history (Anthropic format) ---
-    messageHistory.push({ role: "user", content: queryText });
-    // Keep history length manageable (optional)
-    if (messageHistory.length > 10) {
-        messageHistory = messageHistory.slice(-10); // Keep last 10 messages
+    if (terminalCommands.isCommand(queryText)) {
+        await terminalCommands.execute(queryText);
+        return;
     }
-    // ---
+
+    // Streamed reply: text grows in one paragraph per model turn, tools get a status line each
+    const controller = new AbortController();
+    activeQuery = controller;
+    let aiMessage = addMessageToLog("AI", "…");
+    let aiText = '';
+    const toolMessages = {};
 
     try {
-        addMessageToLog("AI", "Processing..."); // Indicate thinking
+        // The server keeps the conversation and trims the context it sends to the model
+        await ensureSession();
 
         const response = await fetch(`${MCP_BACKEND_URL}/api/query`, {
             method: 'POST',
@@ -98,51 +161,307 @@ async function sendQuery(queryText) {
             },
             body: JSON.stringify({
                 query: queryText,
-                history: messageHistory.slice(0, -1) // Send history *before* this query
+                sessionId: activeSessionId,
+                stream: true
             }),
+            signal: controller.signal
         });
 
-        // Remove "Processing..." message before showing result
-        const thinkingMessage = terminalMessages.lastElementChild;
-        if (thinkingMessage && thinkingMessage.textContent.startsWith("AI: Processing...")) {
-            terminalMessages.removeChild(thinkingMessage);
+        if (response.status === 404) {
+            // The session was deleted elsewhere; start a fresh one for the next query
+            setActiveSession(null);
         }
 
-
         if (!response.ok) {
              const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response.' })); // Gracefully handle non-JSON errors
              throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
         }
 
-        const result = await response.json(); // { response: "display text", spokenResponse: "..." }
+        for await (const event of readNdjson(response.body)) {
+            if (event.type === 'text') {
+                if (!aiMessage) aiMessage = addMessageToLog("AI", "");
+                aiText += event.delta;
+                updateMessage(aiMessage, "AI", aiText, { markdown: true });
+            } else if (event.type === 'tool_call') {
+                if (aiMessage && !aiText) aiMessage.remove();
+                aiMessage = null;
+                aiText = '';
+                toolMessages[event.id] = addMessageToLog("Tool", `calling ${event.name}…`);
+            } else if (event.type === 'tool_result') {
+                updateMessage(toolMessages[event.id], "Tool", `${event.name} ${event.isError ? 'failed' : 'finished'}`);
+                addContentToMessage(toolMessages[event.id], event.content);
+            } else if (event.type === 'done') {
+                // The last turn's answer comes back with gallery paths turned into links.
+                // Earlier turns' text is already above the tool lines, so only the last
+                // segment is replaced, or a new line added if it streamed nothing
+                if (aiMessage && event.response) {
+                    updateMessage(aiMessage, "AI", event.response, { markdown: true });
+                } else if (aiMessage) {
+                    aiMessage.remove();
+                } else if (event.response) {
+                    updateMessage(addMessageToLog("AI", ""), "AI", event.response, { markdown: true });
+                }
+                aiMessage = null;
+            } else if (event.type === 'error') {
+                throw new Error(event.error);
+            }
+        }
 
-        addMessageToLog("AI", result.response); // Use the display text
+    } catch (error) {
+        if (aiMessage && !aiText) aiMessage.remove();
+        if (error.name === 'AbortError') {
+            addMessageToLog("System", "Cancelled.");
+        } else {
+            console.error("Error sending query:", error);
+            addMessageToLog("Error", error.message);
+        }
+    } finally {
+        if (activeQuery === controller) activeQuery = null;
+    }
+}
 
-        // --- Add assistant response to history ---
-         messageHistory.push({ role: "assistant", content: [{ type: "text", text: result.response }] }); // Use the correct Anthropic structure
-        // ---
+/** Yields one parsed object per line of a newline-delimited JSON response body. */
+async function* readNdjson(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) yield JSON.parse(line);
+        }
+    }
+    if (buffer.trim()) yield JSON.parse(buffer);
+}
 
+/** Stops the terminal query in flight, if any. */
+function cancelQuery() {
+    if (!activeQuery) return false;
+    activeQuery.abort();
+    activeQuery = null;
+    return true;
+}
+
+// --- Terminal Sessions ---
+/** Stable id for this browser, used as the owner of terminal sessions. */
+function getPlayerId() {
+    let id = localStorage.getItem('mcpgame.playerId');
+    if (!id) {
+        id = Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('mcpgame.playerId', id);
+    }
+    return id;
+}
+
+function setActiveSession(id) {
+    activeSessionId = id;
+    if (id) {
+        localStorage.setItem('mcpgame.sessionId', id);
+    } else {
+        localStorage.removeItem('mcpgame.sessionId');
+    }
+}
+
+async function sessionRequest(path, options = {}) {
+    const response = await fetch(`${MCP_BACKEND_URL}/api/sessions${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+async function createSession(title) {
+    const { session } = await sessionRequest('', {
+        method: 'POST',
+        body: JSON.stringify({ owner: getPlayerId(), title })
+    });
+    setActiveSession(session.id);
+    return session;
+}
+
+async function ensureSession() {
+    if (!activeSessionId) {
+        await createSession();
+    }
+    return activeSessionId;
+}
+
+/** Prints the active session's transcript, creating a session if it is gone. */
+async function resumeSession() {
+    try {
+        if (activeSessionId) {
+            try {
+                const { session, transcript } = await sessionRequest(`/${activeSessionId}`);
+                addMessageToLog("System", `Session ${session.id}${session.title ? ` "${session.title}"` : ''}. Type /help for commands.`);
+                transcript.forEach(showTranscriptLine);
+                return;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+                setActiveSession(null);
+            }
+        }
+        const session = await createSession();
+        addMessageToLog("System", `New session ${session.id}. Type /help for commands, Ctrl+C cancels an answer.`);
     } catch (error) {
-        console.error("Error sending query:", error);
-        addMessageToLog("Error", error.message);
-         // Remove the potentially failed AI response placeholder from history if necessary
-        if (messageHistory.length > 0 && messageHistory[messageHistory.length - 1].role === "assistant") {
-            // This logic might need adjustment depending on exact failure point.
-            // If the error happens *after* adding the user message but *before* successfully adding the assistant one,
-            // we don't need to do anything here as the assistant message wasn't added.
-            // If the error happened during the fetch itself, the assistant placeholder was never added.
-            // Consider only adding the assistant message *after* a successful fetch.
-            console.warn("Query failed, checking history consistency.");
+        console.error("Error loading session:", error);
+        addMessageToLog("Error", `Could not load session: ${error.message}`);
+    }
+}
+
+/** Tab completion for slash commands; lists the candidates when there are several. */
+async function completeTerminalInput() {
+    try {
+        const { text, options } = await terminalCommands.complete(terminalInput.value);
+        terminalInput.value = text;
+        if (options.length > 1) {
+            addMessageToLog("System", options.join('  '));
         }
+    } catch (error) {
+        console.error("Error completing input:", error);
+    }
+}
+
+function showTranscriptLine(line) {
+    if (line.sender === 'AI') {
+        updateMessage(addMessageToLog("AI", ""), "AI", line.text, { markdown: true });
+    } else {
+        addMessageToLog(line.sender, line.text);
     }
 }
 
+/** Prints the active session's conversation again. */
+async function showSessionHistory() {
+    await ensureSession();
+    const { transcript } = await sessionRequest(`/${activeSessionId}`);
+    if (transcript.length === 0) {
+        addMessageToLog("System", "This session is empty.");
+        return;
+    }
+    clearTerminalLog();
+    transcript.forEach(showTranscriptLine);
+}
+
+function registerTerminalCommands() {
+    terminalCommands.register('status', {
+        description: 'show the MCP servers and their tools',
+        run: async () => {
+            const response = await fetch(`${MCP_BACKEND_URL}/api/status`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            addMessageToLog("System", formatStatus("MCP TERMINAL", await response.json()));
+        }
+    });
+    terminalCommands.register('sessions', {
+        description: 'list your sessions (* marks the active one)',
+        run: async () => {
+            const { sessions } = await sessionRequest(`?owner=${encodeURIComponent(getPlayerId())}`);
+            if (sessions.length === 0) {
+                addMessageToLog("System", "No sessions yet.");
+                return;
+            }
+            const lines = sessions.map(s =>
+                `${s.id === activeSessionId ? '*' : ' '} ${s.id}  ${s.title || '(untitled)'}  ${s.messageCount} messages  ${new Date(s.updatedAt).toLocaleString()}`);
+            addMessageToLog("System", `Sessions:\n${lines.join('\n')}`);
+        }
+    });
+    terminalCommands.register('new', {
+        usage: '[title]',
+        description: 'start a new session',
+        run: async title => {
+            const session = await createSession(title || undefined);
+            clearTerminalLog();
+            addMessageToLog("System", `New session ${session.id}${session.title ? ` "${session.title}"` : ''}.`);
+        }
+    });
+    terminalCommands.register('switch', {
+        usage: '<id>',
+        description: 'resume another session (a unique prefix of the id is enough)',
+        run: async prefix => {
+            if (!prefix) {
+                addMessageToLog("System", "Usage: /switch <session id>");
+                return;
+            }
+            const { sessions } = await sessionRequest(`?owner=${encodeURIComponent(getPlayerId())}`);
+            const matches = sessions.filter(s => s.id.startsWith(prefix));
+            if (matches.length !== 1) {
+                addMessageToLog("System", matches.length ? `"${prefix}" matches several sessions.` : `No session matches "${prefix}".`);
+                return;
+            }
+            setActiveSession(matches[0].id);
+            clearTerminalLog();
+            await resumeSession();
+        }
+    });
+    terminalCommands.register('history', {
+        description: 'show the whole conversation of this session',
+        run: showSessionHistory
+    });
+    terminalCommands.register('clear', {
+        description: 'forget the current conversation',
+        run: async () => {
+            await ensureSession();
+            await sessionRequest(`/${activeSessionId}/clear`, { method: 'POST' });
+            clearTerminalLog();
+            addMessageToLog("System", `Cleared session ${activeSessionId}.`);
+        }
+    });
+}
+
 function addMessageToLog(sender, text) {
     const messageElement = document.createElement('p');
     messageElement.textContent = `${sender}: ${text}`;
     terminalMessages.appendChild(messageElement);
     // Auto-scroll to bottom
     terminalMessages.scrollTop = terminalMessages.scrollHeight;
+    mirrorToMonitor(messageElement, sender, text);
+    return messageElement;
+}
+
+/** Replaces a log line's text; model answers are rendered as markdown. */
+function updateMessage(messageElement, sender, text, { markdown = false } = {}) {
+    if (!messageElement) return;
+    messageElement.textContent = `${sender}: `;
+    if (markdown) {
+        const body = document.createElement('span');
+        body.innerHTML = renderMarkdown(text, MCP_BACKEND_URL);
+        messageElement.appendChild(body);
+    } else {
+        messageElement.append(text);
+    }
+    terminalMessages.scrollTop = terminalMessages.scrollHeight;
+    mirrorToMonitor(messageElement, sender, text);
+}
+
+function clearTerminalLog() {
+    terminalMessages.innerHTML = '';
+    if (computerScreen) computerScreen.clear();
+}
+
+/** Shows tool result content (images, JSON, links) under a log line. */
+function addContentToMessage(messageElement, content) {
+    if (!messageElement || !content || content.length === 0) return;
+    const rich = renderToolContent(content, {
+        baseUrl: MCP_BACKEND_URL,
+        onSendToTv: imageId => {
+            showImageOnTv(imageId);
+            addMessageToLog("System", `Sent ${imageId} to the TV.`);
+        }
+    });
+    messageElement.after(rich);
+    // Thumbnails change the height once they load
+    rich.querySelectorAll('img').forEach(img => img.addEventListener('load', () => {
+        terminalMessages.scrollTop = terminalMessages.scrollHeight;
+    }));
+    terminalMessages.scrollTop = terminalMessages.scrollHeight;
 }
 
 // --- Terminal UI ---
@@ -150,9 +469,10 @@ function openTerminalUi() {
     if (isTerminalOpen) return;
     isTerminalOpen = true;
     terminalUi.style.display = 'flex';
-    terminalMessages.innerHTML = ''; // Clear previous messages
-    messageHistory = []; // Reset history on open
+    clearTerminalLog();
+    computerScreen.setUser(multiplayer.name);
     fetchStatus(); // Fetch status when opening
+    resumeSession(); // Pick the conversation up where it was left
     terminalInput.value = '';
     terminalInput.focus(); // Focus input field
     
@@ -167,14 +487,34 @@ function closeTerminalUi() {
     if (!isTerminalOpen) return;
     isTerminalOpen = false;
     terminalUi.style.display = 'none';
-    
-    // Check for new images when closing the terminal
-    if (interactionType === 'tv') {
-        requestNewImage();
+    computerScreen.setUser(null);
+    sendMonitor();
+}
+
+// --- Computer Monitor ---
+
+/** Shows a terminal line on the computer monitor and shares it with the room. */
+function mirrorToMonitor(key, sender, text) {
+    // Lines logged while the terminal is closed would overwrite someone else using it
+    if (!computerScreen || !isTerminalOpen) return;
+    computerScreen.write(key, sender, text);
+    // Answers stream in many small updates; send the screen a few times a second at most
+    if (monitorSyncTimer === null) {
+        monitorSyncTimer = setTimeout(sendMonitor, MONITOR_SYNC_INTERVAL);
     }
-    
-    // Reset interaction type
-    interactionType = '';
+}
+
+function sendMonitor() {
+    clearTimeout(monitorSyncTimer);
+    monitorSyncTimer = null;
+    if (!multiplayer || !multiplayer.connected) return;
+    multiplayer.send({ type: 'monitor', id: 'computer', lines: computerScreen.lines(), active: isTerminalOpen });
+}
+
+/** Shows another player's terminal, unless we're using the computer ourselves. */
+function showRemoteMonitor(message) {
+    if (message.id !== 'computer' || isTerminalOpen) return;
+    computerScreen.setScreen(message);
 }
 
 // --- Input Handling ---
@@ -183,40 +523,27 @@ function handleKeyDown(event) {
 
     if (event.key === 'Enter') {
         if (isTerminalOpen && document.activeElement === terminalInput) { 
-            // If UI is open, send the query from input
+            // If UI is open, send the input to the MCP terminal
             sendQuery(terminalInput.value);
-        } else if (!isTerminalOpen) {
-            // Check which interactive object is nearby
-            if (playerNearComputer) {
-                interactionType = 'computer';
-                openTerminalUi();
-            } else if (playerNearTV) {
-                interactionType = 'tv';
-                openTerminalUi();
-                terminalStatus.textContent = "TV REMOTE CONTROL";
-            } else if (playerNearDoor) {
-                // Teleport player through the door
-                const houseSize = 20;
-                const innerSize = houseSize - 2; // Account for wall thickness
-                const isInHouseX = player.position.x >= -innerSize/2 && player.position.x <= innerSize/2;
-                const isInHouseZ = player.position.z >= -innerSize/2 && player.position.z <= innerSize/2;
-                const isInHouse = isInHouseX && isInHouseZ;
-                
-                if (isInHouse) {
-                    // Move outside
-                    player.position.z = -houseSize/2 - 2;
-                } else {
-                    // Move inside
-                    player.position.z = -innerSize/2 + 1;
-                }
-                
-                // Update camera position
-                camera.position.copy(player.position);
-            }
+        } else if (!isUiOpen()) {
+            // Use whatever has focus
+            interactables.interact();
+        }
+    } else if (event.key === 'Tab' && isTerminalOpen && document.activeElement === terminalInput) {
+        event.preventDefault(); // Keep focus in the input
+        completeTerminalInput();
+    } else if (event.key.toLowerCase() === 'c' && event.ctrlKey && isTerminalOpen) {
+        // Ctrl+C cancels a streaming answer, unless text is selected for copying
+        if (terminalInput.selectionStart === terminalInput.selectionEnd && cancelQuery()) {
+            event.preventDefault();
         }
     } else if (event.key === 'Escape') {
         if (isTerminalOpen) {
             closeTerminalUi();
+        } else if (devicePanel.isOpen) {
+            devicePanel.close();
+        } else if (tvRemoteUi.isOpen) {
+            tvRemoteUi.close();
         } else if (document.pointerLockElement === canvas) {
             document.exitPointerLock();
             mouseLocked = false;
@@ -230,7 +557,7 @@ function handleKeyUp(event) {
 
 function handleMouseDown(event) {
     // Only lock on left click and when UI is not open
-    if (event.button === 0 && !isTerminalOpen && !mouseLocked) {
+    if (event.button === 0 && !isUiOpen() && !mouseLocked) {
         canvas.requestPointerLock();
     }
 }
@@ -260,14 +587,14 @@ function updateInstructions() {
     
     if (isTerminalOpen) {
         instructions.textContent = "Type your command and press Enter to interact";
+    } else if (devicePanel.isOpen) {
+        instructions.textContent = "Fill in the form and press Run | ESC to close";
+    } else if (tvRemoteUi.isOpen) {
+        instructions.textContent = "Pick an image, step through channels or start a slideshow | ESC to close";
     } else if (!mouseLocked) {
         instructions.textContent = "Click on the game to enable controls | WASD to move | ESC to release mouse";
-    } else if (playerNearComputer) {
-        instructions.textContent = "Press Enter to access MCP Terminal";
-    } else if (playerNearTV) {
-        instructions.textContent = "Press Enter to use TV Remote";
-    } else if (playerNearDoor) {
-        instructions.textContent = "Press Enter to enter/exit the house";
+    } else if (interactables.focused) {
+        instructions.textContent = interactables.label();
     } else {
         instructions.textContent = "WASD to move | Explore the environment";
     }
@@ -275,7 +602,7 @@ function updateInstructions() {
 
 // --- Player Movement ---
 function updatePlayerMovement(deltaTime) {
-    if (isTerminalOpen || !mouseLocked) return; // Don't move if UI is open or mouse not locked
+    if (isUiOpen() || !mouseLocked) return; // Don't move if UI is open or mouse not locked
 
     const moveSpeed = PLAYER_MOVE_SPEED * deltaTime;
     const moveDirection = new THREE.Vector3(0, 0, 0);
@@ -298,123 +625,226 @@ function updatePlayerMovement(deltaTime) {
     if (moveDirection.lengthSq() > 0) {
         moveDirection.normalize();
 
-        // Store current position before movement
-        const previousPosition = player.position.clone();
-        
-        // Apply movement
-        player.position.addScaledVector(moveDirection, moveSpeed);
-        
-        // Calculate world boundaries for outdoor area
-        const halfWorldSize = WORLD_SIZE / 2;
-        player.position.x = Math.max(-halfWorldSize, Math.min(halfWorldSize, player.position.x));
-        player.position.z = Math.max(-halfWorldSize, Math.min(halfWorldSize, player.position.z));
-        
-        // Check if player is inside the house
-        const houseSize = 20;
-        const wallThickness = 1;
-        const innerSize = houseSize - wallThickness * 2;
-        const halfInnerSize = innerSize / 2;
-        const frontDoorWidth = 3;
-        
-        const isInHouseX = player.position.x >= -halfInnerSize && player.position.x <= halfInnerSize;
-        const isInHouseZ = player.position.z >= -halfInnerSize && player.position.z <= halfInnerSize;
-        const isInHouse = isInHouseX && isInHouseZ;
-        
-        // Handle house collisions (ignore door area)
-        if (isInHouse) {
-            // We're inside the house, check collision with walls from inside
-            if (Math.abs(player.position.x) > halfInnerSize - 0.3) {
-                player.position.x = Math.sign(player.position.x) * (halfInnerSize - 0.3);
-            }
-            
-            // Collision with back wall
-            if (player.position.z > halfInnerSize - 0.3) {
-                player.position.z = halfInnerSize - 0.3;
-            }
-            
-            // Collision with front wall (except door)
-            if (player.position.z < -halfInnerSize + 0.3 && 
-                (player.position.x < -frontDoorWidth/2 || player.position.x > frontDoorWidth/2)) {
-                player.position.z = -halfInnerSize + 0.3;
-            }
-        } else {
-            // We're outside, check collision with house from outside
-            const nearHouseX = player.position.x >= -houseSize/2 - 0.3 && player.position.x <= houseSize/2 + 0.3;
-            const nearHouseZ = player.position.z >= -houseSize/2 - 0.3 && player.position.z <= houseSize/2 + 0.3;
-            
-            if (nearHouseX && nearHouseZ) {
-                // We're near the house, check specific wall collisions
-                // Front wall with door
-                if (player.position.z < -houseSize/2 + 0.3 && player.position.z > -houseSize/2 - 0.3) {
-                    // Allow entry through door
-                    if (player.position.x >= -frontDoorWidth/2 && player.position.x <= frontDoorWidth/2) {
-                        // Door area - no collision
-                        playerNearDoor = true;
-                    } else {
-                        // Front wall - collision
-                        player.position.z = -houseSize/2 - 0.3;
-                    }
-                }
-                // Back wall
-                else if (player.position.z > houseSize/2 - 0.3 && player.position.z < houseSize/2 + 0.3) {
-                    player.position.z = houseSize/2 + 0.3;
-                }
-                // Left wall
-                else if (player.position.x < -houseSize/2 + 0.3 && player.position.x > -houseSize/2 - 0.3) {
-                    player.position.x = -houseSize/2 - 0.3;
-                }
-                // Right wall
-                else if (player.position.x > houseSize/2 - 0.3 && player.position.x < houseSize/2 + 0.3) {
-                    player.position.x = houseSize/2 + 0.3;
-                }
-            } else {
-                playerNearDoor = false;
-            }
-            
-            // Tree collision detection
-            for (const tree of trees) {
-                const treeDistance = new THREE.Vector2(player.position.x - tree.position.x, 
-                                                    player.position.z - tree.position.z).length();
-                if (treeDistance < 1.2) {
-                    // Collision with tree, move player back
-                    player.position.copy(previousPosition);
-                    break;
-                }
-            }
-        }
-        
+        // Move the player's capsule (from the feet up), sliding along anything it hits
+        const feet = { x: player.position.x, y: player.position.y - PLAYER_HEIGHT, z: player.position.z };
+        const moved = collisions.move(feet, moveDirection.multiplyScalar(moveSpeed), {
+            radius: PLAYER_RADIUS,
+            height: PLAYER_HEIGHT,
+            stepHeight: PLAYER_STEP_HEIGHT
+        });
+
+        // Keep the player inside the world, unless it's endless
+        const halfWorldSize = level.worldSize ? level.worldSize / 2 : Infinity;
+        player.position.x = Math.max(-halfWorldSize, Math.min(halfWorldSize, moved.x));
+        player.position.z = Math.max(-halfWorldSize, Math.min(halfWorldSize, moved.z));
+
+        // Stand on the floor of whichever room we're in, or on the terrain outdoors
+        player.position.y = PLAYER_HEIGHT + groundHeightAt(player.position);
+
         // Update camera position to match player's eyes
         camera.position.copy(player.position);
-        
-        // Update camera's Y position based on whether player is inside or outside the house
-        if (isInHouse) {
-            // Inside the house - higher floor
-            player.position.y = PLAYER_HEIGHT + 0.05;
-        } else {
-            // Outside - ground level
-            player.position.y = PLAYER_HEIGHT;
+    }
+}
+
+/** Height the player stands on at a position: a room's floor, else the terrain. */
+function groundHeightAt(position) {
+    const room = roomAt(position);
+    return room ? room.floorHeight : level.terrain.heightAt(position.x, position.z);
+}
+
+/** The level room whose interior contains the position, if any. */
+function roomAt(position) {
+    return level.rooms.find(room =>
+        position.x >= room.min[0] && position.x <= room.max[0] &&
+        position.z >= room.min[1] && position.z <= room.max[1]) || null;
+}
+
+// --- Interactables ---
+
+/**
+ * What each level object's `interaction` does. Tagging an object in the level
+ * file with one of these names makes it usable; a new appliance only needs an
+ * entry here. Objects with a `device` instead open the device panel and need
+ * nothing in code.
+ */
+const appliances = {
+    computer: {
+        label: "Press Enter to access MCP Terminal",
+        requireLookAt: true,
+        onInteract: () => openTerminalUi()
+    },
+    tv: {
+        label: "Press Enter to use TV Remote",
+        requireLookAt: true,
+        onInteract: () => openTvRemote()
+    }
+};
+
+function registerInteractables() {
+    interactables = new Interactables({ camera });
+    for (const [id, object] of level.objects) {
+        const device = object.userData.device;
+        if (device) {
+            interactables.register({
+                id,
+                object,
+                range: INTERACTION_DISTANCE,
+                requireLookAt: true,
+                label: device.prompt || `Press Enter to use the ${device.title || id}`,
+                onInteract: () => openDevice(device)
+            });
+            continue;
         }
-        
-        // Update camera height
-        camera.position.y = player.position.y;
+        const name = object.userData.interaction;
+        if (!name) continue;
+        if (!appliances[name]) {
+            console.warn(`Level object ${id} has unknown interaction "${name}"`);
+            continue;
+        }
+        interactables.register({ id, object, range: INTERACTION_DISTANCE, ...appliances[name] });
+    }
+    for (const { id } of level.doors) {
+        const door = doors.get(id);
+        interactables.register({
+            id,
+            object: door.leaf,
+            range: INTERACTION_DISTANCE,
+            label: () => `Press Enter to ${door.open ? 'close' : 'open'} the door`,
+            onInteract: () => toggleDoor(door)
+        });
     }
+}
 
-    // Check proximity to interactive objects
-    playerNearComputer = player.position.distanceTo(computer.position) < INTERACTION_DISTANCE;
-    playerNearTV = player.position.distanceTo(tv.position) < INTERACTION_DISTANCE;
-    
-    // Update instruction text based on proximity
-    updateInstructions();
+/** Opens a device's tool panel, releasing the mouse so its form can be used. */
+function openDevice(device) {
+    releasePointer();
+    devicePanel.open(device);
+}
+
+function openTvRemote() {
+    releasePointer();
+    tvRemoteUi.open();
+}
+
+function releasePointer() {
+    if (document.pointerLockElement === canvas) {
+        document.exitPointerLock();
+    }
+    mouseLocked = false;
+}
+
+/** Whether a menu (terminal, device panel or TV remote) has the keyboard. */
+function isUiOpen() {
+    return isTerminalOpen || devicePanel.isOpen || tvRemoteUi.isOpen;
+}
+
+/**
+ * Opens or closes a door. Online the server decides and tells everyone
+ * (including us); offline the door just swings.
+ */
+function toggleDoor(door) {
+    if (!door) return;
+    const open = !door.open;
+    if (multiplayer.connected) {
+        multiplayer.send({ type: 'door-set', id: door.id, open });
+    } else {
+        doors.setOpen(door.id, open);
+    }
+}
+
+/** Keeps a swinging door from leaving the player inside it. */
+function pushPlayerOutOfColliders() {
+    const feet = { x: player.position.x, y: player.position.y - PLAYER_HEIGHT, z: player.position.z };
+    const moved = collisions.move(feet, { x: 0, y: 0, z: 0 }, {
+        radius: PLAYER_RADIUS,
+        height: PLAYER_HEIGHT,
+        stepHeight: PLAYER_STEP_HEIGHT
+    });
+    player.position.x = moved.x;
+    player.position.z = moved.z;
+    camera.position.copy(player.position);
+}
+
+/** Moves the player to { x, z }, standing on the floor there, e.g. when the server says so. */
+function teleportPlayer({ x, z }) {
+    player.position.set(x, PLAYER_HEIGHT + groundHeightAt({ x, z }), z);
+    level.chunks.loadAround(player.position); // Trees and rocks there collide from the start
+    pushPlayerOutOfColliders();
+}
+
+/** Level file from ?level=<name> (levels/<name>.json), else the default house. */
+function getLevelUrl() {
+    const name = new URLSearchParams(window.location.search).get('level') || 'default';
+    return `levels/${encodeURIComponent(name)}.json`;
+}
+
+/**
+ * Seed for the terrain and vegetation: ?seed=<value> to explore other worlds,
+ * else the server's, so every player gets the same one. Without a server the
+ * level's own seed is used.
+ */
+async function fetchWorldSeed() {
+    const fromUrl = new URLSearchParams(window.location.search).get('seed');
+    if (fromUrl) return fromUrl;
+    try {
+        const response = await fetch(`${IMAGE_SERVER_URL}/api/world`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return (await response.json()).seed;
+    } catch (error) {
+        console.warn("Using the level's world seed:", error.message);
+        return undefined;
+    }
+}
+
+// --- Time of Day and Weather ---
+
+/** Picks up the server's clock; until then (or without a server) it's local time. */
+async function fetchGameTime() {
+    try {
+        const response = await fetch(`${IMAGE_SERVER_URL}/api/time`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        dayNight.setClock(await response.json());
+    } catch (error) {
+        console.warn("Using local time of day:", error.message);
+    }
+}
+
+/** Picks up the server's weather; the multiplayer connection sends changes. */
+async function fetchWeather() {
+    try {
+        const response = await fetch(`${IMAGE_SERVER_URL}/api/weather`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        weather.setWeather((await response.json()).weather);
+    } catch (error) {
+        console.warn("Could not load the weather:", error.message);
+    }
 }
 
 // --- Game Initialization ---
-function init() {
+async function init() {
     // Create scene
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x87CEEB); // Sky blue background
-    
+
+    // Build the house and outdoor world from the level file
+    try {
+        collisions = new CollisionWorld();
+        const [levelFile, seed] = await Promise.all([loadLevel(getLevelUrl()), fetchWorldSeed()]);
+        level = buildLevel(scene, levelFile, { collisions, seed });
+        doors = new Doors(level.doors, { collisions });
+        spawnedObjects = new SpawnedObjects({ scene, collisions, groundHeightAt: (x, z) => groundHeightAt({ x, z }) });
+    } catch (error) {
+        console.error("Error loading level:", error);
+        document.getElementById('instructions').textContent = `Could not load the level: ${error.message}`;
+        return;
+    }
+    house = level.objects.get('house');
+    tvScreen = new TvScreen(level.objects.get('tv-screen'), { baseUrl: IMAGE_SERVER_URL });
+    computerScreen = new MonitorScreen(level.objects.get('monitor-screen'));
+    tvRemote = level.objects.get('tv-remote');
+
     // Create a sky with clouds
-    createSky();
+    const { sky, cloudMaterial } = createSky();
     
     // Add ambient light
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
@@ -434,32 +864,46 @@ function init() {
     directionalLight.shadow.camera.bottom = -20;
     scene.add(directionalLight);
 
+    // Light and sky follow the game clock
+    dayNight = new DayNightCycle({
+        scene,
+        sky,
+        cloudMaterial,
+        ambientLight,
+        sunLight: directionalLight,
+        lamps: level.lamps,
+        windows: level.windows,
+        skyRadius: sky.geometry.parameters.radius
+    });
+    fetchGameTime();
+    weather = new WeatherEffects({
+        scene,
+        sky,
+        clouds: scene.userData.clouds,
+        cloudMaterial,
+        ambientLight,
+        sunLight: directionalLight,
+        isSheltered: (x, z) => !!roomAt({ x, z }),
+        viewDistance: level.chunks.viewDistance
+    });
+    fetchWeather();
+
     // Initialize renderer
     renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
     
-    // Initialize camera (first-person view)
+    // Initialize camera (first-person view) at the level's spawn point
+    const [spawnX, spawnZ] = level.spawn.position;
+    const [lookX, lookZ] = level.spawn.lookAt;
+    player.position.set(spawnX, PLAYER_HEIGHT + groundHeightAt({ x: spawnX, z: spawnZ }), spawnZ);
+    level.chunks.loadAround(player.position);
+    player.rotation.y = Math.atan2(-(lookX - spawnX), -(lookZ - spawnZ)); // Face the lookAt point
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(0, PLAYER_HEIGHT, 20); // Position at eye level outside the house
-    camera.lookAt(0, PLAYER_HEIGHT, 0); // Look at the house
-    
-    // Set initial player position (start outside the house)
-    player.position.set(0, PLAYER_HEIGHT, 20);
-    
-    // Create outdoor environment
-    createTerrain();
-    createTrees();
-    
-    // Create house
-    createHouse();
-    
-    // Create TV
-    createTV();
-    
-    // Create computer terminal
-    createComputer();
-    
+    camera.position.copy(player.position);
+    camera.rotation.copy(player.rotation);
+    registerInteractables();
+
     // Add event listeners
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
@@ -468,33 +912,117 @@ function init() {
     document.addEventListener('mousemove', handleMouseMove);
     document.addEventListener('pointerlockchange', handlePointerLockChange);
     
-    // Fetch image when starting (optional)
+    // Terminal slash commands
+    terminalCommands = new TerminalCommands({
+        backendUrl: MCP_BACKEND_URL,
+        print: addMessageToLog,
+        printContent: (sender, text, content) => addContentToMessage(addMessageToLog(sender, text), content)
+    });
+    registerTerminalCommands();
+
+    // Panel for devices bound to MCP tools
+    devicePanel = new DevicePanel({
+        element: document.getElementById('devicePanel'),
+        backendUrl: MCP_BACKEND_URL,
+        onClose: updateInstructions,
+        onSendToTv: showImageOnTv
+    });
+
+    // TV remote overlay
+    tvRemoteUi = new TvRemoteUi({
+        element: document.getElementById('tvRemoteUi'),
+        backendUrl: IMAGE_SERVER_URL,
+        getPlayerName: () => multiplayer.name,
+        showImage: showImageOnTv,
+        onChannel: showTvChannel,
+        onClose: updateInstructions
+    });
+
+    // Join the shared world
+    connectMultiplayer();
+    
+    // Fetch the TV channel when starting; after that the server pushes changes
     checkForImages();
     
     // Start animation loop
     animate();
 }
 
+/**
+ * Player name from ?name= in the URL, else the last one used, else a random one.
+ */
+function getPlayerName() {
+    const fromUrl = new URLSearchParams(window.location.search).get('name');
+    const name = fromUrl || localStorage.getItem('mcpgame.playerName') || `Guest-${Math.floor(Math.random() * 10000)}`;
+    localStorage.setItem('mcpgame.playerName', name);
+    return name;
+}
+
+function connectMultiplayer() {
+    remotePlayers = new RemotePlayers(scene);
+    multiplayer = new MultiplayerClient({ url: MULTIPLAYER_URL, name: getPlayerName() });
+
+    multiplayer.on('welcome', message => remotePlayers.applySnapshot(message.players, message.id));
+    multiplayer.on('snapshot', message => remotePlayers.applySnapshot(message.players, multiplayer.id));
+    multiplayer.on('player-left', message => remotePlayers.remove(message.id));
+    multiplayer.on('disconnected', () => {
+        remotePlayers.clear();
+        startImagePolling();
+    });
+    multiplayer.on('welcome', () => stopImagePolling());
+    multiplayer.on('tv', message => showTvChannel(message.channel));
+    multiplayer.on('tv-slideshow', message => tvRemoteUi.setSlideshow(message.slideshow));
+    multiplayer.on('doors', message => doors.applySnapshot(message.doors));
+    multiplayer.on('door', message => doors.setOpen(message.id, message.open));
+    multiplayer.on('monitor', showRemoteMonitor);
+    multiplayer.on('time', message => dayNight.setClock(message));
+    multiplayer.on('weather', message => weather.setWeather(message.weather));
+    multiplayer.on('objects', message => {
+        spawnedObjects.applySnapshot(message.objects);
+        pushPlayerOutOfColliders();
+    });
+    multiplayer.on('object-spawned', message => {
+        spawnedObjects.add(message.object);
+        pushPlayerOutOfColliders();
+    });
+    multiplayer.on('object-removed', message => spawnedObjects.remove(message.id));
+    multiplayer.on('teleport', message => teleportPlayer(message.position));
+
+    multiplayer.connect();
+}
+
 function createSky() {
+    // The sky moves with the player, so it only needs to reach past the loaded world
+    skyGroup = new THREE.Group();
+    scene.add(skyGroup);
+
     // Create a sky dome
-    const skyGeometry = new THREE.SphereGeometry(WORLD_SIZE * 0.95, 32, 32);
+    const skyRadius = level.chunks.viewDistance * 1.5;
+    const skyGeometry = new THREE.SphereGeometry(skyRadius, 32, 32);
     const skyMaterial = new THREE.MeshBasicMaterial({
         color: 0x87CEEB, // Sky blue
         side: THREE.BackSide, // Render the inside of the sphere
     });
     const sky = new THREE.Mesh(skyGeometry, skyMaterial);
-    sky.position.y = WORLD_SIZE * 0.3; // Position slightly higher than the ground
-    scene.add(sky);
+    sky.position.y = skyRadius * 0.3; // Position slightly higher than the ground
+    skyGroup.add(sky);
+
+    // One material for every cloud, so the time of day can tint them all
+    const cloudMaterial = new THREE.MeshBasicMaterial({
+        color: 0xFFFFFF, // White
+        transparent: true,
+        opacity: 0.8
+    });
     
     // Create clouds
     const clouds = [];
-    const numClouds = 15;
+    const numClouds = 30; // The weather shows some or all of them
     
     for (let i = 0; i < numClouds; i++) {
-        const cloud = createCloud();
+        const cloud = createCloud(cloudMaterial);
         
         // Position randomly around the sky
-        const radius = WORLD_SIZE * 0.6;
+        const radius = level.chunks.viewDistance * 0.55;
         const angle = Math.random() * Math.PI * 2;
         const height = 20 + Math.random() * 20;
         
@@ -519,23 +1047,17 @@ function createSky() {
             angle: angle
         });
         
-        scene.add(cloud);
+        skyGroup.add(cloud);
     }
     
     // Store clouds in a global for animation
     scene.userData.clouds = clouds;
+    return { sky, cloudMaterial };
 }
 
-function createCloud() {
+function createCloud(cloudMaterial) {
     const cloud = new THREE.Group();
     
-    // Create several spheres to form a cloud
-    const cloudMaterial = new THREE.MeshBasicMaterial({
-        color: 0xFFFFFF, // White
-        transparent: true,
-        opacity: 0.8
-    });
-    
     // Create main cloud puffs
     const positions = [
         [0, 0, 0],
@@ -558,428 +1080,6 @@ function createCloud() {
     return cloud;
 }
 
-function createTerrain() {
-    // Create a large ground plane for the outdoor environment
-    const terrainGeometry = new THREE.PlaneGeometry(WORLD_SIZE, WORLD_SIZE, 32, 32);
-    
-    // Use a simple green texture for the ground
-    const terrainMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x7CFC00, // Lawn green
-        roughness: 0.8,
-        metalness: 0.2
-    });
-    
-    terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
-    terrain.rotation.x = -Math.PI / 2; // Rotate to be horizontal
-    terrain.position.y = -0.2; // Lower the terrain slightly to avoid z-fighting with house floor
-    terrain.receiveShadow = true;
-    scene.add(terrain);
-    
-    // Add a simple path leading to the house
-    const pathGeometry = new THREE.PlaneGeometry(3, 25);
-    const pathMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0xA0522D, // Brown
-        roughness: 0.9
-    });
-    
-    const path = new THREE.Mesh(pathGeometry, pathMaterial);
-    path.rotation.x = -Math.PI / 2;
-    path.position.set(0, -0.19, 7.5); // Just above terrain but below house level
-    path.receiveShadow = true;
-    scene.add(path);
-}
-
-function createTrees() {
-    // Function to create a single tree
-    function createTree(x, z) {
-        const treeGroup = new THREE.Group();
-        
-        // Tree trunk
-        const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.4, 2, 8);
-        const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 }); // Brown
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.y = 1; // Half the trunk height
-        trunk.castShadow = true;
-        trunk.receiveShadow = true;
-        treeGroup.add(trunk);
-        
-        // Tree leaves
-        const leavesGeometry = new THREE.ConeGeometry(1.5, 3, 8);
-        const leavesMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 }); // Forest green
-        const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
-        leaves.position.y = 3; // Position on top of trunk
-        leaves.castShadow = true;
-        leaves.receiveShadow = true;
-        treeGroup.add(leaves);
-        
-        // Position the tree
-        treeGroup.position.set(x, 0, z);
-        
-        // Add to scene and store reference
-        scene.add(treeGroup);
-        trees.push(treeGroup);
-        
-        return treeGroup;
-    }
-    
-    // Create a forest of trees in a somewhat random pattern
-    // avoiding the path to the house
-    const numTrees = 30;
-    for (let i = 0; i < numTrees; i++) {
-        // Generate random positions
-        let x, z;
-        let isValidPosition = false;
-        
-        // Keep trying until we find a valid position
-        while (!isValidPosition) {
-            x = (Math.random() * WORLD_SIZE - WORLD_SIZE/2) * 0.8; // 80% of world size
-            z = (Math.random() * WORLD_SIZE - WORLD_SIZE/2) * 0.8;
-            
-            // Keep trees away from the path and house
-            const isAwayFromPath = Math.abs(x) > 3 || z < -10 || z > 25;
-            const isAwayFromHouse = Math.sqrt(x*x + z*z) > 25 || z > 15;
-            
-            isValidPosition = isAwayFromPath && isAwayFromHouse;
-        }
-        
-        createTree(x, z);
-    }
-}
-
-function createHouse() {
-    // House dimensions
-    const houseSize = 20;
-    const wallHeight = 4;
-    const wallThickness = 1;
-    
-    // Create house group
-    house = new THREE.Group();
-    house.position.set(0, 0, 0); // Center of the world
-    
-    // Floor - Make it slightly higher and with a distinct material
-    const floorGeometry = new THREE.BoxGeometry(houseSize, 0.3, houseSize);
-    const floorMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x8B4513, // Brown floor
-        roughness: 0.7,
-        metalness: 0.2
-    });
-    const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-    floor.position.y = 0.05; // Raise it slightly above ground level
-    floor.receiveShadow = true;
-    house.add(floor);
-    
-    // Add a floor foundation to ensure no z-fighting with terrain
-    const foundationGeometry = new THREE.BoxGeometry(houseSize + 1, 0.2, houseSize + 1);
-    const foundationMaterial = new THREE.MeshStandardMaterial({ color: 0x808080 }); // Gray foundation
-    const foundation = new THREE.Mesh(foundationGeometry, foundationMaterial);
-    foundation.position.y = -0.1; // Slightly below floor level
-    foundation.receiveShadow = true;
-    house.add(foundation);
-    
-    // Walls material
-    const wallMaterial = new THREE.MeshStandardMaterial({ color: 0xF5F5DC }); // Beige walls
-    
-    // North wall (with door gap)
-    const northWallGeometry1 = new THREE.BoxGeometry(7, wallHeight, wallThickness);
-    const northWall1 = new THREE.Mesh(northWallGeometry1, wallMaterial);
-    northWall1.position.set(-6.5, wallHeight/2, -houseSize/2 + wallThickness/2);
-    northWall1.castShadow = true;
-    northWall1.receiveShadow = true;
-    house.add(northWall1);
-    
-    const northWallGeometry2 = new THREE.BoxGeometry(7, wallHeight, wallThickness);
-    const northWall2 = new THREE.Mesh(northWallGeometry2, wallMaterial);
-    northWall2.position.set(6.5, wallHeight/2, -houseSize/2 + wallThickness/2);
-    northWall2.castShadow = true;
-    northWall2.receiveShadow = true;
-    house.add(northWall2);
-    
-    // Door (decorative)
-    const doorGeometry = new THREE.BoxGeometry(3, 3, 0.1);
-    const doorMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-    const door = new THREE.Mesh(doorGeometry, doorMaterial);
-    door.position.set(0, 1, -houseSize/2 + wallThickness/2 + 0.05);
-    house.add(door);
-    
-    // Add doorknob
-    const doorknobGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-    const doorknobMaterial = new THREE.MeshStandardMaterial({ color: 0xFFD700, metalness: 0.8 }); // Gold
-    const doorknob = new THREE.Mesh(doorknobGeometry, doorknobMaterial);
-    doorknob.position.set(0.7, 1, -houseSize/2 + wallThickness/2 + 0.11);
-    house.add(doorknob);
-    
-    // Add door steps
-    const stepsGeometry = new THREE.BoxGeometry(4, 0.2, 1);
-    const stepsMaterial = new THREE.MeshStandardMaterial({ color: 0x808080 }); // Gray steps
-    const steps = new THREE.Mesh(stepsGeometry, stepsMaterial);
-    steps.position.set(0, -0.1, -houseSize/2 - 0.5);
-    steps.receiveShadow = true;
-    house.add(steps);
-    
-    // South wall
-    const southWallGeometry = new THREE.BoxGeometry(houseSize, wallHeight, wallThickness);
-    const southWall = new THREE.Mesh(southWallGeometry, wallMaterial);
-    southWall.position.set(0, wallHeight/2, houseSize/2 - wallThickness/2);
-    southWall.castShadow = true;
-    southWall.receiveShadow = true;
-    house.add(southWall);
-    
-    // East wall
-    const eastWallGeometry = new THREE.BoxGeometry(wallThickness, wallHeight, houseSize);
-    const eastWall = new THREE.Mesh(eastWallGeometry, wallMaterial);
-    eastWall.position.set(houseSize/2 - wallThickness/2, wallHeight/2, 0);
-    eastWall.castShadow = true;
-    eastWall.receiveShadow = true;
-    house.add(eastWall);
-    
-    // West wall
-    const westWallGeometry = new THREE.BoxGeometry(wallThickness, wallHeight, houseSize);
-    const westWall = new THREE.Mesh(westWallGeometry, wallMaterial);
-    westWall.position.set(-houseSize/2 + wallThickness/2, wallHeight/2, 0);
-    westWall.castShadow = true;
-    westWall.receiveShadow = true;
-    house.add(westWall);
-    
-    // Ceiling
-    const ceilingGeometry = new THREE.BoxGeometry(houseSize, 0.2, houseSize);
-    const ceilingMaterial = new THREE.MeshStandardMaterial({ color: 0xFFF5EE }); // Off-white ceiling
-    const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
-    ceiling.position.y = wallHeight;
-    ceiling.receiveShadow = true;
-    house.add(ceiling);
-    
-    // Roof
-    const roofGeometry = new THREE.ConeGeometry(houseSize * 0.7, 5, 4);
-    const roofMaterial = new THREE.MeshStandardMaterial({ color: 0x800000 }); // Maroon
-    const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-    roof.position.set(0, wallHeight + 2.5, 0);
-    roof.rotation.y = Math.PI / 4; // Rotate to align with the house
-    roof.castShadow = true;
-    house.add(roof);
-    
-    // Add windows to the walls
-    function createWindow(x, z, rotationY) {
-        const windowGroup = new THREE.Group();
-        
-        // Window frame
-        const frameGeometry = new THREE.BoxGeometry(1.5, 1.5, 0.1);
-        const frameMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 }); // Brown
-        const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-        windowGroup.add(frame);
-        
-        // Window glass
-        const glassGeometry = new THREE.PlaneGeometry(1.3, 1.3);
-        const glassMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xADD8E6, // Light blue
-            transparent: true,
-            opacity: 0.7
-        });
-        const glass = new THREE.Mesh(glassGeometry, glassMaterial);
-        glass.position.z = 0.06;
-        windowGroup.add(glass);
-        
-        // Position window
-        windowGroup.position.set(x, wallHeight/2, z);
-        windowGroup.rotation.y = rotationY;
-        
-        house.add(windowGroup);
-        return windowGroup;
-    }
-    
-    // Add windows to north wall (front)
-    createWindow(-3, -houseSize/2 + wallThickness/2 + 0.06, 0);
-    createWindow(3, -houseSize/2 + wallThickness/2 + 0.06, 0);
-    
-    // Add windows to east wall (right)
-    createWindow(houseSize/2 - wallThickness/2 - 0.06, -5, Math.PI/2);
-    createWindow(houseSize/2 - wallThickness/2 - 0.06, 5, Math.PI/2);
-    
-    // Add windows to west wall (left)
-    createWindow(-houseSize/2 + wallThickness/2 + 0.06, -5, -Math.PI/2);
-    createWindow(-houseSize/2 + wallThickness/2 + 0.06, 5, -Math.PI/2);
-    
-    // Add windows to south wall (back)
-    createWindow(-5, houseSize/2 - wallThickness/2 - 0.06, Math.PI);
-    createWindow(5, houseSize/2 - wallThickness/2 - 0.06, Math.PI);
-    
-    // Add furniture (optional)
-    // Couch
-    const couchGeometry = new THREE.BoxGeometry(4, 1, 1.5);
-    const couchMaterial = new THREE.MeshStandardMaterial({ color: 0x6B8E23 }); // Olive green
-    const couch = new THREE.Mesh(couchGeometry, couchMaterial);
-    couch.position.set(0, 0.5, 8);
-    couch.castShadow = true;
-    couch.receiveShadow = true;
-    house.add(couch);
-    
-    // Coffee table
-    const tableGeometry = new THREE.BoxGeometry(2, 0.5, 1);
-    const tableMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 }); // Brown
-    const table = new THREE.Mesh(tableGeometry, tableMaterial);
-    table.position.set(0, 0.25, 6);
-    table.castShadow = true;
-    table.receiveShadow = true;
-    house.add(table);
-    
-    // Add some outdoor decorations around the house
-    
-    // Mailbox
-    const mailboxPost = new THREE.Mesh(
-        new THREE.BoxGeometry(0.2, 1, 0.2),
-        new THREE.MeshStandardMaterial({ color: 0x8B4513 }) // Brown
-    );
-    mailboxPost.position.set(5, 0.5, -12);
-    mailboxPost.castShadow = true;
-    scene.add(mailboxPost);
-    
-    const mailbox = new THREE.Mesh(
-        new THREE.BoxGeometry(0.8, 0.5, 0.4),
-        new THREE.MeshStandardMaterial({ color: 0x000080 }) // Navy blue
-    );
-    mailbox.position.set(5, 1.3, -12);
-    mailbox.castShadow = true;
-    scene.add(mailbox);
-    
-    // Garden beds
-    function createGardenBed(x, z, width, depth) {
-        const bed = new THREE.Group();
-        
-        // Dirt area
-        const dirtGeometry = new THREE.BoxGeometry(width, 0.2, depth);
-        const dirtMaterial = new THREE.MeshStandardMaterial({ color: 0x654321 }); // Dark brown
-        const dirt = new THREE.Mesh(dirtGeometry, dirtMaterial);
-        dirt.position.y = 0.1;
-        dirt.receiveShadow = true;
-        bed.add(dirt);
-        
-        // Add some flowers
-        const numFlowers = Math.floor((width * depth) / 0.5);
-        for (let i = 0; i < numFlowers; i++) {
-            const flowerX = (Math.random() - 0.5) * (width - 0.2);
-            const flowerZ = (Math.random() - 0.5) * (depth - 0.2);
-            
-            // Flower stem
-            const stemGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.3, 8);
-            const stemMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 }); // Forest green
-            const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-            stem.position.set(flowerX, 0.25, flowerZ);
-            stem.castShadow = true;
-            bed.add(stem);
-            
-            // Flower head
-            const flowerColor = Math.random() > 0.5 ? 0xFF0000 : 0xFFFF00; // Red or yellow
-            const headGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-            const headMaterial = new THREE.MeshStandardMaterial({ color: flowerColor });
-            const head = new THREE.Mesh(headGeometry, headMaterial);
-            head.position.set(flowerX, 0.4, flowerZ);
-            head.castShadow = true;
-            bed.add(head);
-        }
-        
-        bed.position.set(x, 0, z);
-        scene.add(bed);
-        return bed;
-    }
-    
-    // Create garden beds on either side of the path
-    createGardenBed(-4, -10, 3, 2);
-    createGardenBed(4, -10, 3, 2);
-    
-    // Add to scene
-    scene.add(house);
-}
-
-function createTV() {
-    // TV Stand
-    const standGeometry = new THREE.BoxGeometry(3, 1, 1);
-    const standMaterial = new THREE.MeshStandardMaterial({ color: 0x2F4F4F }); // Dark slate gray
-    const tvStand = new THREE.Mesh(standGeometry, standMaterial);
-    tvStand.position.set(0, 0.5, 4);
-    tvStand.castShadow = true;
-    tvStand.receiveShadow = true;
-    house.add(tvStand);
-    
-    // TV Body
-    const tvGeometry = new THREE.BoxGeometry(3, 2, 0.3);
-    const tvBodyMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 }); // Black
-    tv = new THREE.Mesh(tvGeometry, tvBodyMaterial);
-    tv.position.set(0, 2, 4);
-    tv.castShadow = true;
-    house.add(tv);
-    
-    // TV Screen (separate mesh for the display)
-    const screenGeometry = new THREE.PlaneGeometry(2.7, 1.7);
-    const screenMaterial = new THREE.MeshBasicMaterial({ color: 0x333333 }); // Dark gray by default
-    imageDisplay = new THREE.Mesh(screenGeometry, screenMaterial);
-    imageDisplay.position.set(0, 0, 0.16); // Slightly in front of the TV body
-    tv.add(imageDisplay);
-    
-    // TV Remote
-    const remoteGeometry = new THREE.BoxGeometry(0.3, 0.1, 0.8);
-    const remoteMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 }); // Dark gray
-    tvRemote = new THREE.Mesh(remoteGeometry, remoteMaterial);
-    tvRemote.position.set(1, 0.3, 6); // On the coffee table
-    tvRemote.castShadow = true;
-    tvRemote.receiveShadow = true;
-    house.add(tvRemote);
-}
-
-function createComputer() {
-    // Desk
-    const deskGeometry = new THREE.BoxGeometry(3, 0.8, 1.5);
-    const deskMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 }); // Brown
-    const desk = new THREE.Mesh(deskGeometry, deskMaterial);
-    desk.position.set(-7, 0.4, 7);
-    desk.castShadow = true;
-    desk.receiveShadow = true;
-    house.add(desk);
-    
-    // Computer (MCP Terminal)
-    const computerGeometry = new THREE.BoxGeometry(1, 1, 0.5);
-    const computerMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 }); // Dark gray
-    computer = new THREE.Mesh(computerGeometry, computerMaterial);
-    computer.position.set(-7, 1.3, 7); // On the desk
-    computer.castShadow = true;
-    house.add(computer);
-    
-    // Monitor
-    const monitorGeometry = new THREE.BoxGeometry(1.5, 1, 0.1);
-    const monitorBodyMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 }); // Black
-    const monitor = new THREE.Mesh(monitorGeometry, monitorBodyMaterial);
-    monitor.position.set(0, 0.7, -0.25); // In front of the computer
-    computer.add(monitor);
-    
-    // Monitor Screen
-    const screenGeometry = new THREE.PlaneGeometry(1.3, 0.8);
-    const screenMaterial = new THREE.MeshBasicMaterial({ color: 0x00FF00 }); // Green terminal screen
-    const screen = new THREE.Mesh(screenGeometry, screenMaterial);
-    screen.position.set(0, 0, 0.06); // Slightly in front of the monitor
-    monitor.add(screen);
-    
-    // Keyboard
-    const keyboardGeometry = new THREE.BoxGeometry(1, 0.05, 0.4);
-    const keyboardMaterial = new THREE.MeshStandardMaterial({ color: 0x444444 }); // Dark gray
-    const keyboard = new THREE.Mesh(keyboardGeometry, keyboardMaterial);
-    keyboard.position.set(-7, 0.85, 7.4); // In front of the monitor
-    keyboard.castShadow = true;
-    house.add(keyboard);
-    
-    // Chair
-    const chairSeatGeometry = new THREE.BoxGeometry(1, 0.1, 1);
-    const chairMaterial = new THREE.MeshStandardMaterial({ color: 0x444444 }); // Dark gray
-    const chairSeat = new THREE.Mesh(chairSeatGeometry, chairMaterial);
-    chairSeat.position.set(-7, 0.5, 8.5); // In front of the desk
-    chairSeat.castShadow = true;
-    chairSeat.receiveShadow = true;
-    house.add(chairSeat);
-    
-    // Chair Back
-    const chairBackGeometry = new THREE.BoxGeometry(1, 1, 0.1);
-    const chairBack = new THREE.Mesh(chairBackGeometry, chairMaterial);
-    chairBack.position.set(0, 0.5, -0.5); // Behind the seat
-    chairSeat.add(chairBack);
-}
-
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
@@ -1002,38 +1102,86 @@ function animate() {
         }
     }
     
-    // Handle player movement
+    // Crossfade the TV picture
+    tvScreen.update(deltaTime);
+
+    // Move the sun and switch the lamps, then let the weather dim and fog it
+    skyGroup.position.set(player.position.x, 0, player.position.z);
+    dayNight.update(player.position);
+    weather.update(deltaTime, player.position);
+    computerScreen.update();
+
+    // Swing doors, then handle player movement
+    if (doors.update(deltaTime)) pushPlayerOutOfColliders();
     updatePlayerMovement(deltaTime);
+
+    // Stream in the terrain and trees around the player
+    level.chunks.update(player.position);
     
     // Update camera rotation to match player's view direction
     camera.rotation.y = player.rotation.y;
+
+    // Focus whatever the player is looking at or standing next to
+    interactables.update(isUiOpen() ? null : camera.position);
+    updateInstructions();
+    
+    // Share our pose and move everyone else's avatars
+    multiplayer.sendState(player.position, { x: camera.rotation.x, y: player.rotation.y });
+    remotePlayers.update();
     
     renderer.render(scene, camera);
 }
 
-function requestNewImage() {
-    // Instead of generating a new image, just check for existing images
-    console.log("Requesting to display a new image from existing files");
-    
-    // Force an immediate check for images, bypassing the time check
-    lastCheckedImageTime = 0;
-    checkForImages();
-    
-    // Add a message to the terminal if it's open
-    if (isTerminalOpen) {
-        addMessageToLog("System", "Checking for available images in the gallery...");
+/**
+ * Asks the server to put a gallery image on the shared TV.
+ */
+async function showImageOnTv(imageId) {
+    if (multiplayer.connected) {
+        multiplayer.send({ type: 'tv-show', imageId });
+        return;
+    }
+
+    try {
+        const response = await fetch(`${IMAGE_SERVER_URL}/api/tv`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ imageId, setBy: multiplayer.name }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        showTvChannel(data.channel);
+    } catch (error) {
+        console.error("Error changing TV channel:", error);
+        addMessageToLog("Error", error.message);
     }
 }
 
+/**
+ * Applies the server's TV channel state to our TV screen.
+ */
+function showTvChannel(channel) {
+    tvRemoteUi.setChannel(channel);
+    if (!channel) {
+        if (tvScreen.url) tvScreen.clear();
+        return;
+    }
+    if (channel.imageUrl === tvScreen.url) return;
+    tvScreen.show(channel.imageUrl);
+}
+
+/**
+ * Fetches the TV channel over HTTP. Used at startup and while the multiplayer
+ * connection (which normally pushes channel changes) is down.
+ */
 function checkForImages() {
     // Don't check too frequently - increased to 10 seconds
     const now = Date.now();
     if (now - lastCheckedImageTime < 10000) return; 
     lastCheckedImageTime = now;
     
-    console.log(`Checking for images at ${IMAGE_SERVER_URL}/latest-image`);
-    
-    fetch(`${IMAGE_SERVER_URL}/latest-image`)
+    fetch(`${IMAGE_SERVER_URL}/api/tv`)
         .then(response => {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -1041,92 +1189,38 @@ function checkForImages() {
             return response.json();
         })
         .then(data => {
-            console.log("Latest image response:", data);
-            
-            if (data.imageUrl) {
-                // New format - uses imageUrl property
-                loadImageToDisplay(data.imageUrl);
-            } else if (data.latestImage) {
-                // Legacy format - uses latestImage property
-                loadImageToDisplay(data.latestImage);
-            } else {
-                console.warn("No image found in response:", data);
-                
-                // Display a message in the terminal if open
-                if (isTerminalOpen) {
-                    addMessageToLog("System", "No images available in the gallery.");
-                }
+            if (data.channel) {
+                showTvChannel(data.channel);
             }
+            tvRemoteUi.setSlideshow(data.slideshow || null);
         })
         .catch(error => {
-            console.error("Error fetching latest image:", error);
+            console.error("Error fetching TV channel:", error);
             
-            // Try the legacy API endpoint as fallback
-            fetch(`${IMAGE_SERVER_URL}/api/latest-image`)
+            // Fall back to the newest gallery image
+            fetch(`${IMAGE_SERVER_URL}/latest-image`)
                 .then(response => response.json())
                 .then(data => {
-                    console.log("Legacy image response:", data);
-                    if (data.latestImage) {
-                        loadImageToDisplay(data.latestImage);
+                    if (data.imageUrl) {
+                        tvScreen.show(data.imageUrl);
                     }
                 })
                 .catch(fallbackError => {
-                    console.error("Error fetching from legacy endpoint:", fallbackError);
-                    
-                    // Display a message in the terminal if open
-                    if (isTerminalOpen) {
-                        addMessageToLog("System", "Unable to connect to the image gallery.");
-                    }
+                    console.error("Error fetching latest image:", fallbackError);
                 });
         });
 }
 
-function loadImageToDisplay(imageUrl) {
-    // Clean up previous texture if it exists
-    if (currentImageTexture) {
-        currentImageTexture.dispose();
-    }
-    
-    // Make sure the image URL is absolute and properly formatted
-    let fullImageUrl = imageUrl;
-    
-    // If it's just a path without domain, add the server URL
-    if (imageUrl && !imageUrl.startsWith('http')) {
-        // Handle both formats: with or without leading slash
-        if (imageUrl.startsWith('/')) {
-            fullImageUrl = `${IMAGE_SERVER_URL}${imageUrl}`;
-        } else {
-            fullImageUrl = `${IMAGE_SERVER_URL}/${imageUrl}`;
-        }
-    }
-    
-    console.log(`Loading image from: ${fullImageUrl}`);
-    
-    // Create a new texture from the image URL
-    const textureLoader = new THREE.TextureLoader();
-    textureLoader.crossOrigin = 'anonymous'; // Enable cross-origin loading
-    
-    textureLoader.load(
-        fullImageUrl,
-        function(texture) {
-            console.log("Image loaded successfully!");
-            // Store reference for cleanup
-            currentImageTexture = texture;
-            
-            // Update the TV display with the new texture
-            const newMaterial = new THREE.MeshBasicMaterial({ map: texture });
-            imageDisplay.material = newMaterial;
-        },
-        // Progress callback
-        function(xhr) {
-            console.log(`Image loading: ${Math.round((xhr.loaded / xhr.total) * 100)}% loaded`);
-        },
-        function(error) {
-            console.error("Error loading image texture:", error);
-            // Fallback to a solid color if loading fails
-            imageDisplay.material = new THREE.MeshBasicMaterial({ color: 0x333333 });
-        }
-    );
+function startImagePolling() {
+    if (imagePollTimer) return;
+    console.warn("Multiplayer connection down, polling the TV channel instead");
+    imagePollTimer = setInterval(checkForImages, 10000);
+}
+
+function stopImagePolling() {
+    if (!imagePollTimer) return;
+    clearInterval(imagePollTimer);
+    imagePollTimer = null;
 }
 
 // Initialize the game
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Headless check of the multiplayer protocol against a running game server:
+ * join, state, snapshots, leaving, and that malformed messages get an error
+ * reply instead of taking the server down.
+ *
+ *   npm start
+ *   npm run check:multiplayer [-- ws://host:port/ws]
+ */
+const assert = require('assert');
+const WebSocket = require('ws');
+
+const url = process.argv[2] || process.env.MCPGAME_WS_URL || `ws://localhost:${process.env.PORT || 3002}/ws`;
+const TIMEOUT = 3000;
+
+/** A connected socket whose messages can be awaited by predicate. */
+function connect() {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url);
+        const received = [];
+        const waiting = [];
+        socket.on('message', data => {
+            const message = JSON.parse(data.toString());
+            const index = waiting.findIndex(waiter => waiter.matches(message));
+            if (index === -1) {
+                received.push(message);
+                return;
+            }
+            const [waiter] = waiting.splice(index, 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(message);
+        });
+
+        const client = {
+            socket,
+            send: message => socket.send(typeof message === 'string' ? message : JSON.stringify(message)),
+            next(matches, description) {
+                const index = received.findIndex(matches);
+                if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+                return new Promise((resolveNext, rejectNext) => {
+                    const waiter = { matches, resolve: resolveNext };
+                    waiter.timer = setTimeout(() => {
+                        waiting.splice(waiting.indexOf(waiter), 1);
+                        rejectNext(new Error(`Timed out waiting for ${description}`));
+                    }, TIMEOUT);
+                    waiting.push(waiter);
+                });
+            },
+            close: () => socket.close()
+        };
+        socket.once('open', () => resolve(client));
+        socket.once('error', reject);
+    });
+}
+
+const ofType = type => message => message.type === type;
+
+async function expectError(client, raw) {
+    client.send(raw);
+    const reply = await client.next(ofType('error'), `an error reply to ${raw}`);
+    assert.strictEqual(typeof reply.message, 'string');
+}
+
+const BAD_MESSAGES = ['not json', 'null', '42', '"join"', '[]', '{}', '{"type":5}'];
+
+async function main() {
+    console.log(`Checking ${url}`);
+
+    const alice = await connect();
+    for (const raw of BAD_MESSAGES) await expectError(alice, raw);
+    await expectError(alice, JSON.stringify({ type: 'state', position: { x: 1, y: 1, z: 1 } }));
+    console.log('ok - malformed and pre-join messages are rejected');
+
+    alice.send({ type: 'join', name: 'check-alice' });
+    const aliceWelcome = await alice.next(ofType('welcome'), 'welcome');
+    assert.ok(aliceWelcome.id);
+    assert.ok(aliceWelcome.players.some(player => player.id === aliceWelcome.id));
+
+    const bob = await connect();
+    bob.send({ type: 'join', name: 'check-bob' });
+    const bobWelcome = await bob.next(ofType('welcome'), 'welcome');
+    assert.ok(bobWelcome.players.some(player => player.id === aliceWelcome.id));
+    const joined = await alice.next(ofType('player-joined'), 'player-joined');
+    assert.strictEqual(joined.player.id, bobWelcome.id);
+    assert.strictEqual(joined.player.name, 'check-bob');
+    console.log('ok - join');
+
+    const position = { x: 12.5, y: 1.7, z: -3 };
+    bob.send({ type: 'state', position, rotation: { x: 0.1, y: 1.2 } });
+    const snapshot = await alice.next(
+        message => message.type === 'snapshot' && message.players.some(player => player.id === bobWelcome.id && player.position.x === position.x),
+        "a snapshot with bob's state"
+    );
+    assert.deepStrictEqual(snapshot.players.find(player => player.id === bobWelcome.id).position, position);
+    console.log('ok - state and snapshot');
+
+    for (const raw of BAD_MESSAGES) await expectError(bob, raw);
+    await expectError(bob, JSON.stringify({ type: 'no-such-type' }));
+    console.log('ok - malformed messages after join are rejected');
+
+    bob.close();
+    const left = await alice.next(ofType('player-left'), 'player-left');
+    assert.strictEqual(left.id, bobWelcome.id);
+    console.log('ok - leave');
+
+    alice.close();
+}
+
+main().then(
+    () => console.log('Multiplayer check passed'),
+    err => {
+        console.error(`Multiplayer check failed: ${err.message}`);
+        process.exitCode = 1;
+    }
+).finally(() => setTimeout(() => process.exit(), 100));
@@ -1,88 +1,271 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs');
+const { loadConfig, validateGalleryDir } = require('./lib/config');
+const { McpRegistry } = require('./lib/mcp-registry');
+const { createModelProvider } = require('./lib/model-providers');
+const { runQuery } = require('./lib/query-engine');
+const { Gallery } = require('./lib/gallery');
+const { openEventStream } = require('./lib/sse');
+const { MultiplayerServer } = require('./lib/multiplayer');
+const { TvChannel } = require('./lib/tv-channel');
+const { TvRemote } = require('./lib/tv-remote');
+const { DoorStates } = require('./lib/door-states');
+const { MonitorMirror } = require('./lib/monitor-mirror');
+const { GameClock } = require('./lib/game-clock');
+const { Weather } = require('./lib/weather');
+const { WorldObjects } = require('./lib/world-objects');
+const { loadWorldSeed } = require('./lib/world-seed');
+const { readLevel, listInteractables } = require('./lib/level-info');
+const { SessionStore, toTranscript, summarize } = require('./lib/sessions');
+const { validate: validateSchema } = require('./lib/schema');
+const { toDisplayContent, linkGalleryPaths } = require('./lib/rich-content');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+const config = loadConfig();
+try {
+    validateGalleryDir(config.galleryDir);
+} catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    console.error('Set gallery.directory in the config file or MCPGAME_IMAGE_DIR to a writable directory.');
+    process.exit(1);
+}
+
+// MCP servers save images (and their metadata) into the same gallery we serve,
+// and can reach the game's own API (weather, TV, ...) at MCPGAME_SERVER_URL
+const mcpRegistry = new McpRegistry(config.mcpServers, {
+    env: {
+        MCPGAME_IMAGE_DIR: config.galleryDir,
+        MCPGAME_IMAGE_INDEX: config.galleryIndexFile,
+        MCPGAME_SERVER_URL: `http://localhost:${PORT}`
+    }
+});
+const gallery = new Gallery({
+    dir: config.galleryDir,
+    indexFile: config.galleryIndexFile,
+    favoritesFile: path.join(config.dataDir, 'favorites.json')
+});
+const multiplayer = new MultiplayerServer();
+const tvChannel = new TvChannel({ file: path.join(config.dataDir, 'tv-channel.json') });
+const tvRemote = new TvRemote({ tvChannel, gallery });
+const doorStates = new DoorStates();
+const monitorMirror = new MonitorMirror();
+const gameClock = new GameClock(config.time);
+const weather = new Weather({ file: path.join(config.dataDir, 'weather.json') });
+const worldObjects = new WorldObjects({ file: path.join(config.dataDir, 'world-objects.json') });
+const worldSeed = loadWorldSeed({ seed: config.world.seed, file: path.join(config.dataDir, 'world.json') });
+const sessions = new SessionStore({
+    dir: path.join(config.dataDir, 'sessions'),
+    maxContextMessages: config.terminal.maxContextMessages
+});
+
+// The TV is shared: every change goes to every player
+tvChannel.on('change', channel => multiplayer.broadcast({ type: 'tv', channel }));
+tvRemote.on('slideshow', slideshow => multiplayer.broadcast({ type: 'tv-slideshow', slideshow }));
+multiplayer.on('player-joined', player => {
+    multiplayer.sendTo(player.socket, { type: 'tv', channel: tvChannel.current });
+    multiplayer.sendTo(player.socket, { type: 'tv-slideshow', slideshow: tvRemote.slideshow });
+});
+multiplayer.handle('tv-show', (player, message) => {
+    const image = gallery.get(message.imageId);
+    if (!image) throw new Error(`Image ${message.imageId} not found`);
+    tvChannel.show(image, player.name);
+});
+
+// Doors are shared too: a player opening one opens it for everyone
+doorStates.on('change', door => multiplayer.broadcast({ type: 'door', ...door }));
+multiplayer.on('player-joined', player => {
+    multiplayer.sendTo(player.socket, { type: 'doors', doors: doorStates.snapshot() });
+});
+multiplayer.handle('door-set', (player, message) => {
+    doorStates.set(message.id, message.open, player.name);
+});
+
+// Computer monitors mirror the terminal of whoever is using them to everyone else
+monitorMirror.on('change', screen => {
+    multiplayer.broadcast({ type: 'monitor', ...screen }, multiplayer.players.get(screen.playerId));
+});
+multiplayer.on('player-joined', player => {
+    for (const screen of monitorMirror.snapshot()) {
+        multiplayer.sendTo(player.socket, { type: 'monitor', ...screen });
+    }
+});
+multiplayer.on('player-left', player => monitorMirror.release(player));
+multiplayer.handle('monitor', (player, message) => {
+    monitorMirror.set(message.id, { lines: message.lines, active: message.active }, player);
+});
+
+// Everyone shares the time of day; clients run the clock between changes
+gameClock.on('change', time => multiplayer.broadcast({ type: 'time', ...time }));
+multiplayer.on('player-joined', player => {
+    multiplayer.sendTo(player.socket, { type: 'time', ...gameClock.state() });
+});
+
+// And the weather, which players, the API and the game MCP server can change
+weather.on('change', state => multiplayer.broadcast({ type: 'weather', weather: state }));
+multiplayer.on('player-joined', player => {
+    multiplayer.sendTo(player.socket, { type: 'weather', weather: weather.current });
+});
+
+// Objects spawned at runtime (by the game MCP server) appear for everyone
+worldObjects.on('spawned', object => multiplayer.broadcast({ type: 'object-spawned', object }));
+worldObjects.on('removed', id => multiplayer.broadcast({ type: 'object-removed', id }));
+multiplayer.on('player-joined', player => {
+    multiplayer.sendTo(player.socket, { type: 'objects', objects: worldObjects.list() });
+});
+
+// New gallery images go on the TV; a deleted image is replaced by the newest one
+gallery.on('image-added', image => tvChannel.autoShow(image, 'gallery'));
+gallery.on('image-removed', image => {
+    if (!tvChannel.current || tvChannel.current.imageId !== image.id) return;
+    const latest = gallery.latest();
+    if (latest) {
+        tvChannel.show(latest, 'gallery');
+    } else {
+        tvChannel.clear();
+    }
+});
+const modelProvider = createModelProvider();
+
 // Enable CORS for all routes
 app.use(cors());
 
 // Parse JSON request bodies
 app.use(express.json());
 
-// Serve static files from the public directory
-app.use(express.static(path.join(__dirname, 'server/openai-server/public')));
+// Serve the image gallery
+app.use('/image', express.static(config.galleryDir));
 
 // API routes
 app.get('/api/status', (req, res) => {
-    // Example response - you'll replace this with your actual MCP status
+    res.json(mcpRegistry.getStatus());
+});
+
+// Tools of every connected MCP server, with their input schemas (terminal /tools and /call)
+app.get('/api/tools', (req, res) => {
     res.json({
-        overallConnected: true,
-        connectionDetails: [
-            {
-                path: 'email-server/index.js',
-                status: 'connected',
-                tools: ['send_email', 'get_recent_emails', 'read_email', 'search_emails']
-            },
-            {
-                path: 'gemini-server/index.js',
-                status: 'connected',
-                tools: ['generate-text']
-            },
-            {
-                path: 'web-server/index.js',
-                status: 'connected',
-                tools: ['web_search']
-            }
-        ],
-        availableTools: [
-            'web_search', 'generate-text', 'send_email', 
-            'get_recent_emails', 'read_email', 'search_emails'
-        ]
+        tools: mcpRegistry.listTools().map(tool => ({
+            name: tool.name,
+            description: tool.description || '',
+            inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+            server: tool.server
+        }))
     });
 });
 
-// New endpoint for displaying existing images from the directory
+// Calls one tool directly, without the model. Arguments are checked against its inputSchema first.
+app.post('/api/tools/call', async (req, res) => {
+    const { name, arguments: args = {} } = req.body || {};
+
+    const tool = mcpRegistry.listTools().find(candidate => candidate.name === name);
+    if (!tool) {
+        return res.status(404).json({ error: `No connected MCP server provides the tool "${name}"` });
+    }
+
+    const problems = validateSchema(tool.inputSchema, args);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: `Invalid arguments for ${name}`, details: problems });
+    }
+
+    const startedAt = Date.now();
+    try {
+        console.log(`Direct call to ${name} with`, JSON.stringify(args));
+        const result = await mcpRegistry.callTool(name, args);
+        res.json({
+            server: tool.server,
+            durationMs: Date.now() - startedAt,
+            result: {
+                content: toDisplayContent(result.content, { gallery, galleryDir: config.galleryDir }),
+                isError: !!result.isError
+            }
+        });
+    } catch (err) {
+        console.error(`Direct call to ${name} failed:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Pulls the "Saved to: <path>" lines out of a generate_image tool result.
+ */
+function extractSavedImagePaths(result) {
+    const text = (result.content || [])
+        .filter(item => item.type === 'text')
+        .map(item => item.text)
+        .join('\n');
+    return [...text.matchAll(/Saved to: (.+)$/gm)].map(match => match[1].trim());
+}
+
+// Generate an image from the TV remote's prompt via the generate_image MCP tool
 app.post('/generate-image', async (req, res) => {
-    console.log("Image request received - redirecting to display existing images");
-    
+    const { prompt, size, n, showOnTv, setBy } = req.body || {};
+    console.log("Image generation request received:", JSON.stringify({ prompt, size, n }));
+
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+        return res.status(400).json({
+            success: false,
+            message: 'A non-empty prompt is required'
+        });
+    }
+
+    if (!mcpRegistry.findServerForTool('generate_image')) {
+        return res.status(503).json({
+            success: false,
+            message: 'The generate_image tool is not available - is the image server connected?'
+        });
+    }
+
     try {
-        // Get the latest image from the directory and return its URL
-        const imageDir = path.join(__dirname, 'server/openai-server/public/image');
-        
-        // Ensure directory exists
-        if (!fs.existsSync(imageDir)) {
-            fs.mkdirSync(imageDir, { recursive: true });
-            return res.status(404).json({
+        const args = { prompt: prompt.trim() };
+        if (size) args.size = size;
+        if (n) args.n = Number(n);
+
+        const result = await mcpRegistry.callTool('generate_image', args);
+        const resultText = (result.content || []).filter(item => item.type === 'text').map(item => item.text).join('\n');
+
+        if (result.isError) {
+            return res.status(502).json({
                 success: false,
-                message: 'No images available yet'
+                message: 'Image generation failed',
+                error: resultText
             });
         }
-        
-        // Get image files
-        const files = fs.readdirSync(imageDir);
-        const imageFiles = files.filter(file => 
-            /\.(jpg|jpeg|png|gif|webp)$/i.test(file)
-        );
-        
-        if (imageFiles.length === 0) {
-            return res.status(404).json({
+
+        // The image server saves into the shared gallery; only files inside it are served
+        const imageUrls = [];
+        const images = [];
+        for (const savedPath of extractSavedImagePaths(result)) {
+            const resolved = path.resolve(savedPath);
+            if (path.dirname(resolved) !== path.resolve(config.galleryDir)) {
+                console.error(`Ignoring generated image outside the gallery: ${savedPath}`);
+                continue;
+            }
+            const fileName = path.basename(resolved);
+            imageUrls.push(`/image/${encodeURIComponent(fileName)}`);
+            const record = gallery.findByFile(fileName);
+            if (record) images.push(record);
+        }
+
+        if (imageUrls.length === 0) {
+            return res.status(502).json({
                 success: false,
-                message: 'No image files found'
+                message: 'The image server did not save any images',
+                error: resultText
             });
         }
-        
-        // Get a random image from the directory to simulate "generating" a new one
-        const randomIndex = Math.floor(Math.random() * imageFiles.length);
-        const randomImageFile = imageFiles[randomIndex];
-        const imageUrl = `/image/${randomImageFile}`;
-        
+
+        if (showOnTv && images.length > 0) {
+            tvChannel.show(images[0], typeof setBy === 'string' && setBy ? setBy : 'TV remote');
+        }
+
         res.json({
             success: true,
-            message: 'Image found successfully',
-            imageUrl: imageUrl
+            message: `Generated ${imageUrls.length} image(s)`,
+            imageUrl: imageUrls[0],
+            imageUrls,
+            images
         });
     } catch (err) {
         console.error("Error handling image request:", err);
@@ -96,61 +279,23 @@ app.post('/generate-image', async (req, res) => {
 
 // Updated endpoint to get the latest image
 app.get('/latest-image', (req, res) => {
-    console.log("Latest image request received");
-    
-    // Get the image directory
-    const imageDir = path.join(__dirname, 'server/openai-server/public/image');
-    console.log("Looking for images in directory:", imageDir);
-    
     try {
-        // Check if directory exists
-        if (!fs.existsSync(imageDir)) {
-            console.log("Directory doesn't exist, creating it");
-            fs.mkdirSync(imageDir, { recursive: true });
-            return res.json({ 
-                success: false,
-                message: 'No images available - directory was just created',
-                imageUrl: null
-            });
-        }
-        
-        // Get all files in the directory
-        const files = fs.readdirSync(imageDir);
-        console.log("All files in directory:", files);
-        
-        // Filter image files
-        const imageFiles = files.filter(file => 
-            /\.(jpg|jpeg|png|gif|webp)$/i.test(file)
-        );
-        console.log("Image files found:", imageFiles);
-        
-        if (imageFiles.length === 0) {
+        const images = gallery.list();
+
+        if (images.length === 0) {
             return res.json({ 
                 success: false,
                 message: 'No image files found in directory',
                 imageUrl: null
             });
         }
-        
-        // Sort by modification time (most recent first)
-        imageFiles.sort((a, b) => {
-            const statA = fs.statSync(path.join(imageDir, a));
-            const statB = fs.statSync(path.join(imageDir, b));
-            return statB.mtime.getTime() - statA.mtime.getTime();
-        });
-        
-        // Get the most recent image
-        const latestImageFile = imageFiles[0];
-        console.log("Latest image file:", latestImageFile);
-        
-        // Return the most recent image path
-        const imageUrl = '/image/' + latestImageFile;
-        
+
         res.json({ 
             success: true,
             message: 'Latest image found',
-            imageUrl: imageUrl,
-            totalImages: imageFiles.length
+            imageUrl: images[0].url,
+            image: images[0],
+            totalImages: images.length
         });
     } catch (err) {
         console.error("Error finding latest image:", err);
@@ -166,45 +311,17 @@ app.get('/latest-image', (req, res) => {
 app.get('/api/latest-image', (req, res) => {
     console.log("Legacy API request for latest image");
     
-    // Get the image directory
-    const imageDir = path.join(__dirname, 'server/openai-server/public/image');
-    
     try {
-        // Check if directory exists
-        if (!fs.existsSync(imageDir)) {
-            fs.mkdirSync(imageDir, { recursive: true });
-            return res.json({ message: 'No images found - directory was just created', latestImage: null });
-        }
-        
-        // Get all files in the directory
-        const files = fs.readdirSync(imageDir);
-        
-        // Filter image files
-        const imageFiles = files.filter(file => 
-            /\.(jpg|jpeg|png|gif|webp)$/i.test(file)
-        );
-        
-        if (imageFiles.length === 0) {
+        const images = gallery.list();
+
+        if (images.length === 0) {
             return res.json({ message: 'No image files found in directory', latestImage: null });
         }
         
-        // Sort by modification time (most recent first)
-        imageFiles.sort((a, b) => {
-            const statA = fs.statSync(path.join(imageDir, a));
-            const statB = fs.statSync(path.join(imageDir, b));
-            return statB.mtime.getTime() - statA.mtime.getTime();
-        });
-        
-        // Get the most recent image
-        const latestImageFile = imageFiles[0];
-        
-        // Return the most recent image path
-        const latestImagePath = 'image/' + latestImageFile;
-        
         res.json({ 
             message: 'Latest image found',
-            latestImage: latestImagePath,
-            totalImages: imageFiles.length
+            latestImage: 'image/' + images[0].file,
+            totalImages: images.length
         });
     } catch (err) {
         console.error("Error finding latest image:", err);
@@ -216,19 +333,372 @@ app.get('/api/latest-image', (req, res) => {
     }
 });
 
-// Endpoint to handle image generation queries
-app.post('/api/query', (req, res) => {
-    // For now, just echo back what was sent
-    // In a real implementation, this would pass the query to appropriate MCP tools
-    const responseText = "I received your message. If you ask me to display an image, I'll show one from the gallery!";
-    
-    res.json({
-        response: responseText,
-        spokenResponse: responseText
+// Gallery metadata: paginated list with prompt text and date filters
+app.get('/api/images', (req, res) => {
+    const { q, from, to } = req.query;
+    const favorite = req.query.favorite === 'true';
+
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+            return res.status(400).json({ error: `${name} must be a valid date` });
+        }
+    }
+
+    const page = req.query.page !== undefined ? parseInt(req.query.page, 10) : 1;
+    const pageSize = req.query.pageSize !== undefined ? parseInt(req.query.pageSize, 10) : undefined;
+    if (Number.isNaN(page) || (pageSize !== undefined && Number.isNaN(pageSize))) {
+        return res.status(400).json({ error: 'page and pageSize must be numbers' });
+    }
+
+    try {
+        res.json(gallery.query({ q, from, to, favorite, page, pageSize }));
+    } catch (err) {
+        console.error("Error listing images:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Live gallery updates as Server-Sent Events
+app.get('/api/images/events', (req, res) => {
+    const onAdded = record => send('image-added', record);
+    const onRemoved = record => send('image-removed', record);
+    const onUpdated = record => send('image-updated', record);
+    const send = openEventStream(req, res, () => {
+        gallery.off('image-added', onAdded);
+        gallery.off('image-removed', onRemoved);
+        gallery.off('image-updated', onUpdated);
     });
+
+    gallery.on('image-added', onAdded);
+    gallery.on('image-removed', onRemoved);
+    gallery.on('image-updated', onUpdated);
+    send('ready', { latest: gallery.latest() });
+});
+
+app.get('/api/images/:id', (req, res) => {
+    const image = gallery.get(req.params.id);
+    if (!image) {
+        return res.status(404).json({ error: `Image ${req.params.id} not found` });
+    }
+    res.json(image);
+});
+
+// Favorites are kept by the game server; the MCP server's index is never rewritten
+app.patch('/api/images/:id', (req, res) => {
+    const { favorite } = req.body || {};
+    if (typeof favorite !== 'boolean') {
+        return res.status(400).json({ error: 'favorite must be true or false' });
+    }
+    try {
+        const image = gallery.setFavorite(req.params.id, favorite);
+        if (!image) {
+            return res.status(404).json({ error: `Image ${req.params.id} not found` });
+        }
+        res.json(image);
+    } catch (err) {
+        console.error("Error updating image:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Deletes the image file; if it was on the TV, the TV moves to the newest image
+app.delete('/api/images/:id', (req, res) => {
+    try {
+        const image = gallery.delete(req.params.id);
+        if (!image) {
+            return res.status(404).json({ error: `Image ${req.params.id} not found` });
+        }
+        console.log(`Deleted gallery image ${image.id} (${image.file})`);
+        res.json({ deleted: image });
+    } catch (err) {
+        console.error("Error deleting image:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Shared TV channel: what everyone in the house sees
+app.get('/api/tv', (req, res) => {
+    res.json({ channel: tvChannel.current, slideshow: tvRemote.slideshow });
+});
+
+// Previous (-1) or next (1) gallery image, optionally only favorites
+app.post('/api/tv/step', (req, res) => {
+    const { direction, favoritesOnly, setBy } = req.body || {};
+    if (direction !== 1 && direction !== -1) {
+        return res.status(400).json({ error: 'direction must be 1 or -1' });
+    }
+    const channel = tvRemote.step(direction, typeof setBy === 'string' && setBy ? setBy : 'api', { favoritesOnly: !!favoritesOnly });
+    if (!channel) {
+        return res.status(404).json({ error: favoritesOnly ? 'No favorite images' : 'The gallery is empty' });
+    }
+    res.json({ channel });
+});
+
+app.get('/api/tv/slideshow', (req, res) => {
+    res.json({ slideshow: tvRemote.slideshow });
+});
+
+app.put('/api/tv/slideshow', (req, res) => {
+    const { interval, favoritesOnly, setBy } = req.body || {};
+    try {
+        const slideshow = tvRemote.startSlideshow({ interval, favoritesOnly }, typeof setBy === 'string' && setBy ? setBy : 'api');
+        res.json({ slideshow });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/tv/slideshow', (req, res) => {
+    tvRemote.stopSlideshow();
+    res.json({ slideshow: null });
+});
+
+app.get('/api/tv/history', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    res.json({ history: tvChannel.getHistory(limit) });
+});
+
+app.post('/api/tv', (req, res) => {
+    const { imageId, setBy } = req.body || {};
+    const image = gallery.get(imageId);
+    if (!image) {
+        return res.status(404).json({ error: `Image ${imageId} not found` });
+    }
+    res.json({ channel: tvChannel.show(image, typeof setBy === 'string' && setBy ? setBy : 'api') });
+});
+
+// Time of day: { mode: 'real' | 'simulated', hour, speed }
+app.get('/api/time', (req, res) => {
+    res.json(gameClock.state());
+});
+
+app.put('/api/time', (req, res) => {
+    const { mode, hour, speed, setBy } = req.body || {};
+    try {
+        res.json(gameClock.set({ mode, hour, speed }, typeof setBy === 'string' && setBy ? setBy : 'api'));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Weather: { condition: 'clear' | 'overcast' | 'rain' | 'fog' | 'snow', intensity }
+app.get('/api/weather', (req, res) => {
+    res.json({ weather: weather.current });
+});
+
+app.put('/api/weather', (req, res) => {
+    const { condition, intensity, setBy } = req.body || {};
+    try {
+        res.json({ weather: weather.set(condition, { intensity }, typeof setBy === 'string' && setBy ? setBy : 'api') });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// The seed clients generate the terrain and vegetation from
+app.get('/api/world', (req, res) => {
+    res.json({ seed: worldSeed });
+});
+
+// Players and the world, for the game MCP server and other tools
+app.get('/api/players', (req, res) => {
+    res.json({ players: multiplayer.serializePlayers() });
+});
+
+// Moves a player (by id or name); their game puts them on the floor there
+app.post('/api/players/:player/teleport', (req, res) => {
+    const player = multiplayer.findPlayer(req.params.player);
+    if (!player) {
+        return res.status(404).json({ error: `No player "${req.params.player}" is online` });
+    }
+    const { x, z, setBy } = req.body || {};
+    if (![x, z].every(value => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= 500)) {
+        return res.status(400).json({ error: 'x and z must be numbers within 500 meters of the center' });
+    }
+    multiplayer.sendTo(player.socket, { type: 'teleport', position: { x, z }, by: typeof setBy === 'string' && setBy ? setBy : 'api' });
+    res.json({ player: multiplayer.serializePlayer(player), to: { x, z } });
+});
+
+app.get('/api/objects', (req, res) => {
+    res.json({ objects: worldObjects.list() });
+});
+
+// Spawns { shape, position: [x, y, z], size, color, rotation, label, setBy }
+app.post('/api/objects', (req, res) => {
+    const { setBy, ...options } = req.body || {};
+    try {
+        res.status(201).json({ object: worldObjects.spawn(options, typeof setBy === 'string' && setBy ? setBy : 'api') });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/objects/:id', (req, res) => {
+    if (!worldObjects.remove(req.params.id)) {
+        return res.status(404).json({ error: `Object ${req.params.id} not found` });
+    }
+    res.json({ removed: req.params.id });
+});
+
+// Appliances, devices and doors in a level (?level=<name>, default "default")
+app.get('/api/interactables', async (req, res) => {
+    let level;
+    try {
+        level = readLevel(req.query.level || 'default');
+    } catch (err) {
+        return res.status(404).json({ error: err.message });
+    }
+    res.json({ level: level.name, interactables: await listInteractables(level, doorStates.snapshot()) });
+});
+
+// Terminal queries: run the model's tool-use loop against the connected MCP servers.
+// With a sessionId the server supplies (and trims) the conversation history;
+// without one the client's `history` is used as before. With `stream: true`
+// progress is sent as newline-delimited JSON events, ending in `done` or `error`.
+app.post('/api/query', async (req, res) => {
+    const { query, history, sessionId, stream } = req.body || {};
+
+    if (typeof query !== 'string' || !query.trim()) {
+        return res.status(400).json({ error: 'query must be a non-empty string' });
+    }
+
+    let session = null;
+    if (sessionId) {
+        session = sessions.get(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: `Session ${sessionId} not found` });
+        }
+    }
+
+    // Stop the model and tool loop if the player cancels or disconnects
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    const sendEvent = event => res.write(`${JSON.stringify(event)}\n`);
+    const displayContent = content => toDisplayContent(content, { gallery, galleryDir: config.galleryDir });
+    if (stream) {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.flushHeaders();
+    }
+
+    try {
+        const context = session ? sessions.getContext(session) : (Array.isArray(history) ? history : []);
+        const result = await runQuery({
+            provider: modelProvider,
+            toolbox: mcpRegistry,
+            query,
+            history: context,
+            onEvent: stream
+                ? event => sendEvent(event.type === 'tool_result' ? { ...event, content: displayContent(event.content) } : event)
+                : undefined,
+            signal: controller.signal
+        });
+
+        if (session) {
+            sessions.append(session, result.messages.slice(context.length));
+        }
+
+        const body = {
+            response: linkGalleryPaths(result.response, config.galleryDir),
+            spokenResponse: result.spokenResponse,
+            toolCalls: result.toolCalls.map(call => ({
+                name: call.name,
+                input: call.input,
+                isError: !!call.result.isError,
+                content: displayContent(call.result.content)
+            })),
+            sessionId: session ? session.id : undefined
+        };
+        if (stream) {
+            sendEvent({ type: 'done', ...body });
+            res.end();
+        } else {
+            res.json(body);
+        }
+    } catch (err) {
+        if (controller.signal.aborted) {
+            console.log(`Query cancelled: ${query.slice(0, 60)}`);
+            return;
+        }
+        console.error("Error handling query:", err);
+        if (stream) {
+            sendEvent({ type: 'error', error: err.message });
+            res.end();
+        } else {
+            res.status(500).json({ error: err.message });
+        }
+    }
+});
+
+// Terminal conversation sessions, keyed by the player's persistent id
+app.get('/api/sessions', (req, res) => {
+    res.json({ sessions: sessions.list(req.query.owner) });
+});
+
+app.post('/api/sessions', (req, res) => {
+    const { owner, title } = req.body || {};
+    if (typeof owner !== 'string' || !owner) {
+        return res.status(400).json({ error: 'owner is required' });
+    }
+    const session = sessions.create({ owner, title: typeof title === 'string' && title ? title : null });
+    res.status(201).json({ session: summarize(session) });
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+    const transcript = toTranscript(session.messages).map(line =>
+        line.sender === 'AI' ? { ...line, text: linkGalleryPaths(line.text, config.galleryDir) } : line);
+    res.json({ session: summarize(session), transcript });
+});
+
+app.post('/api/sessions/:id/clear', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+    res.json({ session: summarize(sessions.clear(session)) });
+});
+
+app.delete('/api/sessions/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+    sessions.delete(session.id);
+    res.status(204).end();
 });
 
 // Start the server
-app.listen(PORT, () => {
+const httpServer = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+    console.log(`Using model provider: ${modelProvider.name}`);
+    console.log(`Loaded ${config.mcpServers.length} MCP server(s) from ${config.path}`);
+    console.log(`Image gallery: ${config.galleryDir} (index: ${config.galleryIndexFile})`);
+    gallery.watch();
+    mcpRegistry.start();
+
+    // Start the TV on the newest image if nothing (or a since-deleted image) was showing
+    const latest = gallery.latest();
+    if (latest && (!tvChannel.current || !gallery.get(tvChannel.current.imageId))) {
+        tvChannel.show(latest, 'gallery');
+    }
+});
+
+// Multiplayer shares the HTTP port: ws://host:PORT/ws
+multiplayer.attach(httpServer);
+
+async function shutdown() {
+    gallery.unwatch();
+    multiplayer.close();
+    await mcpRegistry.stop();
+    process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown); 
\ No newline at end of file
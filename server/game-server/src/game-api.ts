@@ -0,0 +1,33 @@
+// The MCPGame server's HTTP API. The game server passes its own address in
+// MCPGAME_SERVER_URL when it launches this server.
+const DEFAULT_SERVER_URL = "http://localhost:3002";
+
+export const gameServerUrl = (process.env.MCPGAME_SERVER_URL || DEFAULT_SERVER_URL).replace(/\/$/, "");
+
+export class GameApiError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = "GameApiError";
+  }
+}
+
+// Calls the game API and returns the parsed JSON body; a non-2xx response
+// throws with the server's `error` message.
+export async function gameRequest<T>(method: string, path: string, body?: unknown): Promise<T> {
+  let response: Response;
+  try {
+    response = await fetch(`${gameServerUrl}${path}`, {
+      method,
+      headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (error) {
+    throw new Error(`Could not reach the game server at ${gameServerUrl}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  const data = await response.json().catch(() => ({})) as { error?: string };
+  if (!response.ok) {
+    throw new GameApiError(data.error || `HTTP error! status: ${response.status}`, response.status);
+  }
+  return data as T;
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ErrorCode,
+  McpError,
+  ListToolsRequest,
+  CallToolRequest
+} from "@modelcontextprotocol/sdk/types.js";
+import { gameServerUrl } from "./game-api.js";
+import { tools, TextContent } from "./tools.js";
+
+// Create MCP server
+const server = new Server({
+  name: "mcpgame-game-server",
+  version: "0.1.0"
+}, {
+  capabilities: {
+    tools: {}
+  }
+});
+
+// Set up error handling
+server.onerror = (error: unknown) => {
+  console.error("MCP Server Error:", error);
+};
+
+process.on('SIGINT', async () => {
+  await server.close();
+  process.exit(0);
+});
+
+server.setRequestHandler(
+  ListToolsRequestSchema,
+  async (_request: ListToolsRequest) => ({
+    tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+  })
+);
+
+server.setRequestHandler(
+  CallToolRequestSchema,
+  async (request: CallToolRequest) => {
+    const tool = tools.find(candidate => candidate.name === request.params.name);
+    if (!tool) {
+      console.error("ERROR: Unknown tool requested:", request.params.name);
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Unknown tool: ${request.params.name}`
+      );
+    }
+
+    try {
+      const text = await tool.run(request.params.arguments || {});
+      const content: TextContent[] = [{ type: "text", text }];
+      return { content };
+    } catch (error) {
+      console.error(`ERROR in ${tool.name}:`, error);
+      const content: TextContent[] = [{
+        type: "text",
+        text: `${tool.name} failed: ${error instanceof Error ? error.message : String(error)}`
+      }];
+      return { content, isError: true };
+    }
+  }
+);
+
+// Start the server
+async function run() {
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error(`MCPGame game server running on stdio (game API: ${gameServerUrl})`);
+}
+
+// Main execution
+run().catch(error => {
+  console.error("Server runtime error:", error);
+  process.exit(1);
+});
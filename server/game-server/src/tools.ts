@@ -0,0 +1,313 @@
+import { gameRequest } from "./game-api.js";
+
+export interface TextContent {
+  type: "text";
+  text: string;
+}
+
+// A tool of this server. run() gets the call's arguments and returns the
+// result text; throwing an Error reports it as a failed tool call.
+export interface GameTool {
+  name: string;
+  description: string;
+  inputSchema: {
+    type: "object";
+    properties: Record<string, unknown>;
+    required?: string[];
+  };
+  run(args: Record<string, unknown>): Promise<string>;
+}
+
+const WEATHER_CONDITIONS = ["clear", "overcast", "rain", "fog", "snow"];
+const SHAPES = ["box", "sphere", "cylinder", "cone"];
+
+interface Vector {
+  x: number;
+  y: number;
+  z: number;
+}
+
+interface Player {
+  id: string;
+  name: string;
+  position: Vector;
+  rotation: { x: number; y: number };
+}
+
+interface Channel {
+  imageId: string;
+  prompt: string | null;
+  file: string;
+}
+
+interface GalleryImage {
+  id: string;
+  prompt: string | null;
+  file: string;
+}
+
+interface SpawnedObject {
+  id: string;
+  label: string;
+  spec: { position: number[] };
+}
+
+interface Interactable {
+  id: string;
+  kind: "appliance" | "device" | "door";
+  interaction?: string;
+  title?: string;
+  tools?: string[];
+  open?: boolean;
+  room: string | null;
+  position: Vector;
+}
+
+interface WeatherState {
+  condition: string;
+  intensity: number;
+  setBy: string | null;
+  setAt: string | null;
+}
+
+const formatPosition = ({ x, y, z }: Vector) => `(${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`;
+
+// Yaw 0 faces -z (north); it grows turning left
+function compassDirection(yaw: number): string {
+  const directions = ["north", "north-west", "west", "south-west", "south", "south-east", "east", "north-east"];
+  const turn = ((yaw / (Math.PI * 2)) % 1 + 1) % 1;
+  return directions[Math.round(turn * 8) % 8];
+}
+
+function describeWeather({ condition, intensity, setBy }: WeatherState): string {
+  const amount = condition === "rain" || condition === "snow" ? ` (intensity ${intensity})` : "";
+  return `The weather is ${condition}${amount}${setBy ? `, set by ${setBy}` : ""}.`;
+}
+
+export const tools: GameTool[] = [
+  {
+    name: "get_player_positions",
+    description: "List the players in the game world with their positions (x east, y up, z south, in meters) and which way they face",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    async run() {
+      const { players } = await gameRequest<{ players: Player[] }>("GET", "/api/players");
+      if (players.length === 0) return "Nobody is in the game world.";
+      return players
+        .map(player => `${player.name} (id ${player.id}) at ${formatPosition(player.position)}, facing ${compassDirection(player.rotation.y)}`)
+        .join("\n");
+    }
+  },
+  {
+    name: "teleport_player",
+    description: "Move a player to a spot in the game world. Use get_player_positions or list_interactables to find coordinates",
+    inputSchema: {
+      type: "object",
+      properties: {
+        player: {
+          type: "string",
+          description: "The player's name or id"
+        },
+        x: {
+          type: "number",
+          description: "East-west position in meters"
+        },
+        z: {
+          type: "number",
+          description: "North-south position in meters (south is positive)"
+        }
+      },
+      required: ["player", "x", "z"]
+    },
+    async run({ player, x, z }) {
+      const result = await gameRequest<{ player: Player }>("POST", `/api/players/${encodeURIComponent(String(player))}/teleport`, {
+        x,
+        z,
+        setBy: "terminal"
+      });
+      return `Moved ${result.player.name} to (${x}, ${z}).`;
+    }
+  },
+  {
+    name: "show_image_on_tv",
+    description: "Put a gallery image on the living room TV for everyone. Give an image id, or words to search the gallery's prompts for; with neither, the newest image is shown",
+    inputSchema: {
+      type: "object",
+      properties: {
+        imageId: {
+          type: "string",
+          description: "Gallery ID of the image"
+        },
+        search: {
+          type: "string",
+          description: "Words from the prompt of the image to show"
+        }
+      }
+    },
+    async run({ imageId, search }) {
+      let id = typeof imageId === "string" ? imageId : "";
+      if (!id) {
+        const params = new URLSearchParams({ pageSize: "1" });
+        if (typeof search === "string" && search.trim()) params.set("q", search.trim());
+        const { images } = await gameRequest<{ images: GalleryImage[] }>("GET", `/api/images?${params}`);
+        if (images.length === 0) {
+          throw new Error(search ? `No gallery image matches "${search}"` : "The gallery is empty");
+        }
+        id = images[0].id;
+      }
+      const { channel } = await gameRequest<{ channel: Channel }>("POST", "/api/tv", { imageId: id, setBy: "terminal" });
+      return `The TV now shows ${channel.prompt ? `"${channel.prompt}"` : channel.file} (Gallery ID: ${channel.imageId}).`;
+    }
+  },
+  {
+    name: "spawn_object",
+    description: "Place a simple solid shape in the game world for everyone to see, e.g. a red box on the lawn. Returns its id for remove_object",
+    inputSchema: {
+      type: "object",
+      properties: {
+        shape: {
+          type: "string",
+          description: "The shape to place",
+          enum: SHAPES
+        },
+        x: {
+          type: "number",
+          description: "East-west position in meters"
+        },
+        z: {
+          type: "number",
+          description: "North-south position in meters (south is positive)"
+        },
+        y: {
+          type: "number",
+          description: "Height of the bottom of the shape above the ground, in meters",
+          default: 0
+        },
+        size: {
+          type: "number",
+          description: "Width and height in meters",
+          minimum: 0.1,
+          maximum: 20,
+          default: 1
+        },
+        color: {
+          type: "string",
+          description: "A color name such as red, or #rrggbb",
+          default: "#D2691E"
+        },
+        label: {
+          type: "string",
+          description: "What the object is, for list and remove"
+        }
+      },
+      required: ["shape", "x", "z"]
+    },
+    async run({ shape, x, y = 0, z, size, color, label }) {
+      const { object } = await gameRequest<{ object: SpawnedObject }>("POST", "/api/objects", {
+        shape,
+        position: [x, y, z],
+        size,
+        color,
+        label,
+        setBy: "terminal"
+      });
+      return `Spawned ${object.label} (id ${object.id}) at (${x}, ${y}, ${z}).`;
+    }
+  },
+  {
+    name: "remove_object",
+    description: "Remove an object placed with spawn_object. Without an id, lists the spawned objects",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The id spawn_object returned"
+        }
+      }
+    },
+    async run({ id }) {
+      if (typeof id !== "string" || !id) {
+        const { objects } = await gameRequest<{ objects: SpawnedObject[] }>("GET", "/api/objects");
+        if (objects.length === 0) return "No spawned objects.";
+        return objects.map(object => `${object.id}: ${object.label} at (${object.spec.position[0]}, ${object.spec.position[2]})`).join("\n");
+      }
+      await gameRequest("DELETE", `/api/objects/${encodeURIComponent(id)}`);
+      return `Removed ${id}.`;
+    }
+  },
+  {
+    name: "list_interactables",
+    description: "List what players can use in the house: appliances (TV, computer), devices bound to tools, and doors with whether they are open, with positions",
+    inputSchema: {
+      type: "object",
+      properties: {
+        level: {
+          type: "string",
+          description: "Level name (the game's ?level= parameter)",
+          default: "default"
+        }
+      }
+    },
+    async run({ level }) {
+      const query = typeof level === "string" && level ? `?level=${encodeURIComponent(level)}` : "";
+      const { interactables } = await gameRequest<{ interactables: Interactable[] }>("GET", `/api/interactables${query}`);
+      if (interactables.length === 0) return "Nothing in this level can be used.";
+      return interactables.map(item => {
+        const where = `at ${formatPosition(item.position)}${item.room ? ` in ${item.room}` : ""}`;
+        switch (item.kind) {
+          case "appliance":
+            return `${item.id}: ${item.interaction} ${where}`;
+          case "device":
+            return `${item.id}: ${item.title} device (tools: ${(item.tools || []).join(", ") || "none"}) ${where}`;
+          default:
+            return `${item.id}: door, ${item.open ? "open" : "closed"}, ${where}`;
+        }
+      }).join("\n");
+    }
+  },
+  {
+    name: "get_weather",
+    description: "Get the current weather in the game world",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    async run() {
+      const { weather } = await gameRequest<{ weather: WeatherState }>("GET", "/api/weather");
+      return describeWeather(weather);
+    }
+  },
+  {
+    name: "set_weather",
+    description: "Change the weather in the game world for every player: clear skies, overcast, rain, fog or snow",
+    inputSchema: {
+      type: "object",
+      properties: {
+        condition: {
+          type: "string",
+          description: "The weather to change to",
+          enum: WEATHER_CONDITIONS
+        },
+        intensity: {
+          type: "number",
+          description: "How heavy rain or snow falls, from 0 (a few drops) to 1 (a downpour)",
+          minimum: 0,
+          maximum: 1,
+          default: 0.6
+        }
+      },
+      required: ["condition"]
+    },
+    async run({ condition, intensity }) {
+      const { weather } = await gameRequest<{ weather: WeatherState }>("PUT", "/api/weather", {
+        condition,
+        intensity,
+        setBy: "terminal"
+      });
+      return describeWeather(weather);
+    }
+  }
+];
@@ -0,0 +1,55 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export interface GalleryImageRecord {
+  id: string;
+  file: string;
+  prompt: string;
+  revisedPrompt: string | null;
+  model: string;
+  size: string;
+  source: string;
+  createdAt: string;
+}
+
+interface GalleryIndex {
+  version: 1;
+  images: GalleryImageRecord[];
+}
+
+function readIndex(indexFile: string): GalleryIndex {
+  if (!fs.existsSync(indexFile)) {
+    return { version: 1, images: [] };
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+    return { version: 1, images: Array.isArray(parsed.images) ? parsed.images : [] };
+  } catch (error) {
+    // Never throw away an index we can't read; keep it aside and start fresh
+    const backup = `${indexFile}.corrupt-${Date.now()}`;
+    console.error(`Gallery index ${indexFile} is unreadable, moving it to ${backup}: ${error}`);
+    fs.renameSync(indexFile, backup);
+    return { version: 1, images: [] };
+  }
+}
+
+/**
+ * Appends image records to the gallery index shared with the game server.
+ * Writes go to a temp file first so readers never see a half-written index.
+ */
+export function recordImages(indexFile: string, records: Omit<GalleryImageRecord, "id">[]): GalleryImageRecord[] {
+  const index = readIndex(indexFile);
+  const added = records.map(record => ({
+    id: crypto.randomBytes(6).toString("hex"),
+    ...record
+  }));
+  index.images.push(...added);
+
+  fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+  const tempFile = `${indexFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(index, null, 2));
+  fs.renameSync(tempFile, indexFile);
+  console.error(`Recorded ${added.length} image(s) in gallery index ${indexFile}`);
+  return added;
+}
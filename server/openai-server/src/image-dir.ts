@@ -0,0 +1,83 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Package root (one level above build/ or src/)
+const PACKAGE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+// The game's shared config, when this server lives inside the MCPGame repo
+const REPO_CONFIG_PATH = path.resolve(PACKAGE_ROOT, "..", "..", "mcpgame.config.json");
+const DEFAULT_IMAGE_DIR = path.join(PACKAGE_ROOT, "public", "image");
+
+interface SharedConfig {
+  gallery?: { directory?: string; indexFile?: string };
+}
+
+// Reads MCPGAME_CONFIG, or the repo's mcpgame.config.json when present
+function readSharedConfig(): { config: SharedConfig; configPath: string } | null {
+  const configPath = process.env.MCPGAME_CONFIG ? path.resolve(process.env.MCPGAME_CONFIG) : REPO_CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    if (process.env.MCPGAME_CONFIG) {
+      throw new Error(`MCPGAME_CONFIG points at a missing file: ${configPath}`);
+    }
+    return null;
+  }
+
+  try {
+    return { config: JSON.parse(fs.readFileSync(configPath, "utf8")), configPath };
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+/**
+ * Works out where generated images go, in order of precedence:
+ * 1. MCPGAME_IMAGE_DIR (the game server passes this to servers it launches)
+ * 2. gallery.directory in MCPGAME_CONFIG, or the MCPGame repo's mcpgame.config.json
+ * 3. public/image inside this package
+ */
+export function resolveImageDir(): { dir: string; source: string } {
+  if (process.env.MCPGAME_IMAGE_DIR) {
+    return { dir: path.resolve(process.env.MCPGAME_IMAGE_DIR), source: "MCPGAME_IMAGE_DIR" };
+  }
+
+  const shared = readSharedConfig();
+  if (shared?.config.gallery?.directory) {
+    return { dir: path.resolve(path.dirname(shared.configPath), shared.config.gallery.directory), source: shared.configPath };
+  }
+
+  return { dir: DEFAULT_IMAGE_DIR, source: "default" };
+}
+
+/**
+ * Location of the gallery metadata index: MCPGAME_IMAGE_INDEX, then
+ * gallery.indexFile from the shared config, then image-index.json next to
+ * the gallery directory.
+ */
+export function resolveImageIndexFile(imageDir: string): string {
+  if (process.env.MCPGAME_IMAGE_INDEX) {
+    return path.resolve(process.env.MCPGAME_IMAGE_INDEX);
+  }
+
+  const shared = readSharedConfig();
+  if (shared?.config.gallery?.indexFile) {
+    return path.resolve(path.dirname(shared.configPath), shared.config.gallery.indexFile);
+  }
+
+  return path.join(path.dirname(imageDir), "image-index.json");
+}
+
+/**
+ * Creates the directory if needed and checks that we can write to it.
+ * Throws with a message naming the directory and the setting it came from.
+ */
+export function prepareImageDir(dir: string, source: string): void {
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+  } catch (error) {
+    throw new Error(
+      `Image directory ${dir} (from ${source}) is not usable: ${error instanceof Error ? error.message : String(error)}. ` +
+      "Set MCPGAME_IMAGE_DIR or gallery.directory in mcpgame.config.json to a writable directory."
+    );
+  }
+}
@@ -12,25 +12,23 @@ import {
   ListToolsRequest,
   CallToolRequest
 } from "@modelcontextprotocol/sdk/types.js";
-import { OpenAI } from "openai";
-import { OpenAIImageArgs, isValidOpenAIImageArgs } from "./types.js";
+import { OpenAIImageArgs, isValidOpenAIImageArgs, ImageProvider, ImageSize } from "./types.js";
+import { createImageProvider } from "./providers/index.js";
+import { resolveImageDir, resolveImageIndexFile, prepareImageDir } from "./image-dir.js";
+import { recordImages } from "./gallery-index.js";
 import fs from "fs";
 import path from "path";
 
-// Check for OpenAI API key
-const API_KEY = process.env.OPENAI_API_KEY;
-if (!API_KEY) {
-  console.error("ERROR: OPENAI_API_KEY environment variable is missing. Ensure it's set in the .env file.");
+// Select the image backend (IMAGE_PROVIDER=openai|procedural|fixture)
+let imageProvider: ImageProvider;
+try {
+  imageProvider = createImageProvider();
+  console.error(`Using image provider: ${imageProvider.name}`);
+} catch (error) {
+  console.error(`ERROR: ${error instanceof Error ? error.message : String(error)}`);
   process.exit(1);
 }
 
-console.error("API Key available, length:", API_KEY.length);
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: API_KEY
-});
-
 // Define types for response
 interface OpenAIImageData {
   url?: string;
@@ -51,90 +49,26 @@ interface TextContent {
 
 interface ImageContent {
   type: "image";
-  description: string;
-  data: {
-    mediaType: string;
-    base64Data?: string;
-  };
+  data: string;
+  mimeType: string;
+  _meta?: { galleryId: string };
 }
 
 type Content = TextContent | ImageContent;
 
-// Create two possible image directories - one in the server and one in the backend
-const possiblePaths = [
-  // User-specified path
-  "/Users/kristianfagerlie/apps/MCPGame/server/openai-server/public/image",
-  // Local path in the OpenAI server directory
-  path.resolve(process.cwd(), "image"),
-  // Path in the backend server
-  "/Users/kristianfagerlie/apps/mcpclient2/mcp-web-client/mcp-backend-server/image",
-  // Path in MCPGame directory
-  "/Users/kristianfagerlie/apps/MCPGame/image"
-];
-
+// Resolve the shared gallery directory; refuse to start without a usable one
 let imageDir = "";
+let imageIndexFile = "";
 try {
-  console.error("Checking possible image directories:");
-  
-  // First check if any of the paths exist and are writable
-  for (const dirPath of possiblePaths) {
-    console.error(`Checking directory: ${dirPath}`);
-    
-    if (fs.existsSync(dirPath)) {
-      try {
-        // Try writing a test file to verify permission
-        const testFile = path.join(dirPath, `test-${Date.now()}.txt`);
-        fs.writeFileSync(testFile, "Test write permission");
-        fs.unlinkSync(testFile); // Clean up test file
-        
-        imageDir = dirPath;
-        console.error(`Using existing writable directory: ${imageDir}`);
-        break;
-      } catch (err) {
-        console.error(`Directory ${dirPath} exists but is not writable: ${err}`);
-      }
-    } else {
-      console.error(`Directory ${dirPath} does not exist`);
-    }
-  }
-  
-  // If no writable directory found, try to create them in order
-  if (!imageDir) {
-    for (const dirPath of possiblePaths) {
-      try {
-        console.error(`Attempting to create directory: ${dirPath}`);
-        fs.mkdirSync(dirPath, { recursive: true });
-        
-        // Verify it was created and is writable
-        const testFile = path.join(dirPath, `test-${Date.now()}.txt`);
-        fs.writeFileSync(testFile, "Test write permission");
-        fs.unlinkSync(testFile); // Clean up test file
-        
-        imageDir = dirPath;
-        console.error(`Successfully created and verified directory: ${imageDir}`);
-        break;
-      } catch (err) {
-        console.error(`Failed to create or write to directory ${dirPath}: ${err}`);
-      }
-    }
-  }
-  
-  if (!imageDir) {
-    throw new Error("Could not find or create any writable image directory");
-  }
-  
-  // Create a permanent marker file to identify this directory
-  const markerFile = path.join(imageDir, "openai-image-directory.txt");
-  fs.writeFileSync(markerFile, `OpenAI Image Directory created on ${new Date().toISOString()}`);
-  console.error(`Created marker file at ${markerFile}`);
-  
-  console.error(`Final image directory: ${imageDir}`);
-  
+  const { dir, source } = resolveImageDir();
+  prepareImageDir(dir, source);
+  imageDir = dir;
+  imageIndexFile = resolveImageIndexFile(imageDir);
+  console.error(`Image directory: ${imageDir} (from ${source})`);
+  console.error(`Gallery index: ${imageIndexFile}`);
 } catch (error) {
-  console.error(`ERROR during image directory setup: ${error instanceof Error ? error.stack : String(error)}`);
-  // Fall back to the first path if we couldn't set up any directory
-  imageDir = possiblePaths[0];
-  console.error(`Falling back to directory: ${imageDir}`);
+  console.error(`ERROR: ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
 }
 
 // Create MCP server
@@ -256,7 +190,7 @@ server.setRequestHandler(
     return {
       tools: [{
         name: "generate_image",
-        description: "Generate an image using OpenAI's DALL-E model",
+        description: `Generate an image from a text prompt (provider: ${imageProvider.name})`,
         inputSchema: {
           type: "object",
           properties: {
@@ -325,20 +259,23 @@ server.setRequestHandler(
       console.error(`Generating image for prompt: "${prompt}" with model: ${model}, size: ${size}, n: ${n}`);
 
       // Type assertion to ensure size type is correct for OpenAI API
-      const imageSize = size as "256x256" | "512x512" | "1024x1024" | "1792x1024" | "1024x1792";
+      const imageSize = size as ImageSize;
       
       // Log API request parameters
-      console.error(`Calling OpenAI API with parameters: model=${model}, prompt="${prompt}", n=${n}, size=${imageSize}`);
+      console.error(`Calling ${imageProvider.name} provider with parameters: model=${model}, prompt="${prompt}", n=${n}, size=${imageSize}`);
       
-      // Request images from OpenAI
-      const response = await openai.images.generate({
+      // Request images from the configured provider
+      const response = await imageProvider.generate({
         model,
         prompt,
         n,
         size: imageSize
       }) as OpenAIImageResponse;
 
-      console.error(`Generated images from OpenAI API. Raw response: ${JSON.stringify(response)}`);
+      // Only counts and sizes: the raw response holds every image's base64
+      const responseItems: OpenAIImageData[] = Array.isArray(response) ? response : Array.isArray(response?.data) ? response.data : [];
+      const itemSizes = responseItems.map(img => (img?.b64_json || (img as any)?.b64Json || img?.url || "").length);
+      console.error(`Generated ${responseItems.length} image(s) from ${imageProvider.name} provider (sizes: ${itemSizes.join(", ") || "none"} chars)`);
       
       // Make sure we have a valid response format
       let imageData: OpenAIImageData[] = [];
@@ -386,8 +323,8 @@ server.setRequestHandler(
       // Create simplified prompt for filename
       const filePrompt = prompt.substring(0, 30).replace(/[^a-zA-Z0-9]/g, '_');
       
-      // Generate filenames and save images
-      const savedImagePaths: string[] = [];
+      // Generate filenames and save images; savedPaths[i] is image i's file, or null if it wasn't saved
+      const savedPaths: (string | null)[] = imageData.map(() => null);
       
       console.error(`Processing ${imageData.length} images for saving...`);
       
@@ -412,7 +349,7 @@ server.setRequestHandler(
           console.error(`Processing image ${index+1} with base64 data (length: ${base64Data.length})`);
           const imagePath = saveBase64Image(base64Data, filename);
           if (imagePath) {
-            savedImagePaths.push(imagePath);
+            savedPaths[index] = imagePath;
           }
         } else if (img.url) {
           // If the response contains image URLs
@@ -421,13 +358,13 @@ server.setRequestHandler(
             // Make URL processing synchronous to ensure it's available for the response
             const imagePath = await saveImageFromUrl(img.url, filename);
             if (imagePath) {
-              savedImagePaths.push(imagePath);
+              savedPaths[index] = imagePath;
             }
           } catch (error) {
             console.error(`URL save failed for image ${index+1}: ${error}`);
           }
         } else {
-          console.error(`ERROR: Image ${index+1} has neither URL nor base64 data. Raw data:`, JSON.stringify(img));
+          console.error(`ERROR: Image ${index+1} has neither URL nor base64 data. Keys: ${Object.keys(img ?? {}).join(', ')}`);
           // If we received a raw base64 string (no b64_json property)
           if (typeof img === 'object' && img !== null) {
             // Try to check for any string property that might contain base64 data
@@ -445,7 +382,7 @@ server.setRequestHandler(
                   console.error(`Found possible base64 data in property ${key} (length: ${base64Data.length})`);
                   const imagePath = saveBase64Image(base64Data, filename);
                   if (imagePath) {
-                    savedImagePaths.push(imagePath);
+                    savedPaths[index] = imagePath;
                     break;
                   }
                 } catch (error) {
@@ -457,17 +394,34 @@ server.setRequestHandler(
         }
       }
       
-      console.error(`Successfully saved ${savedImagePaths.length} out of ${imageData.length} images`);
-      
-      // Wait for any pending promises
-      console.error(`Waiting for ${savedImagePaths.length} images to be saved...`);
-      console.error(`Image save promises resolved with results: ${savedImagePaths.join(', ')}`);
+      const savedIndexes = savedPaths.flatMap((imagePath, i) => imagePath ? [i] : []);
+      console.error(`Successfully saved ${savedIndexes.length} out of ${imageData.length} images`);
+
+      // Record metadata for the gallery; a failure here must not lose the images.
+      // galleryIds[i] is image i's gallery id, or null
+      const galleryIds: (string | null)[] = imageData.map(() => null);
+      try {
+        const createdAt = new Date().toISOString();
+        const records = recordImages(imageIndexFile, savedIndexes.map(i => ({
+          file: path.basename(savedPaths[i] as string),
+          prompt,
+          revisedPrompt: imageData[i].revised_prompt ?? null,
+          model,
+          size: imageSize,
+          source: imageProvider.name,
+          createdAt
+        })));
+        records.forEach((record, n) => { galleryIds[savedIndexes[n]] = record.id; });
+      } catch (error) {
+        console.error(`ERROR while updating gallery index: ${error instanceof Error ? error.stack : String(error)}`);
+      }
 
       // Format response text including image save locations
       const responseText = `Generated ${imageData.length} image(s) for prompt: "${prompt}"\n\n` +
         imageData.map((img, i) => {
-          const savedPath = i < savedImagePaths.length && savedImagePaths[i] ? 
-            `\nSaved to: ${savedImagePaths[i]}` : 
+          const galleryId = galleryIds[i];
+          const savedPath = savedPaths[i] ?
+            `\nSaved to: ${savedPaths[i]}` + (galleryId ? `\nGallery ID: ${galleryId}` : '') :
             '\nWARNING: Image could not be saved locally';
           
           // Get base64 data, trying both property names
@@ -482,23 +436,36 @@ server.setRequestHandler(
           }
         }).join("\n\n");
 
-      // Create content array for MCP response - only use text format for compatibility
+      // The summary text first, then one image item per saved image. Each item
+      // carries its own gallery id in _meta, so clients never pair them by position
       const contentArray: Content[] = [
         {
           type: "text",
           text: responseText
         }
       ];
-      
-      // Note: We're not adding the image to the content array anymore
-      // The image is saved to disk and the path is included in the responseText
-      console.error(`Processing complete. Returning text-only response with saved image paths.`);
+      for (const i of savedIndexes) {
+        const imagePath = savedPaths[i] as string;
+        const galleryId = galleryIds[i];
+        try {
+          contentArray.push({
+            type: "image",
+            data: fs.readFileSync(imagePath).toString("base64"),
+            mimeType: "image/png",
+            ...(galleryId ? { _meta: { galleryId } } : {})
+          });
+        } catch (error) {
+          console.error(`ERROR while attaching ${imagePath} to the result: ${error instanceof Error ? error.message : String(error)}`);
+        }
+      }
+
+      console.error(`Processing complete. Returning ${contentArray.length - 1} image(s) with the saved paths.`);
 
       return {
         content: contentArray
       };
     } catch (error) {
-      console.error("ERROR during OpenAI API call:", error instanceof Error ? error.stack : String(error));
+      console.error(`ERROR during ${imageProvider.name} image generation:`, error instanceof Error ? error.stack : String(error));
 
       // Try to extract base64 data from the error message if possible
       const errorString = String(error);
@@ -529,7 +496,7 @@ server.setRequestHandler(
         content: [
           {
             type: "text",
-            text: `OpenAI API error: ${error instanceof Error ? error.message : String(error)}`
+            text: `Image generation error (${imageProvider.name}): ${error instanceof Error ? error.message : String(error)}`
           }
         ],
         isError: true
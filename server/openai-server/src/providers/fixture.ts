@@ -0,0 +1,45 @@
+import fs from "fs";
+import path from "path";
+import { ImageGenerationParams, ImageProvider } from "../types.js";
+
+// 1x1 transparent PNG used when no fixture directory is configured
+const BUILTIN_PNG = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==";
+
+/**
+ * Returns canned PNGs for tests. Files from IMAGE_FIXTURE_DIR are handed out
+ * in sorted order, one per requested image, cycling when they run out.
+ */
+export function createFixtureProvider(fixtureDir = process.env.IMAGE_FIXTURE_DIR): ImageProvider {
+  let fixtures: string[] = [];
+
+  if (fixtureDir) {
+    const resolvedDir = path.resolve(fixtureDir);
+    if (!fs.existsSync(resolvedDir)) {
+      throw new Error(`IMAGE_FIXTURE_DIR does not exist: ${resolvedDir}`);
+    }
+    fixtures = fs.readdirSync(resolvedDir)
+      .filter(file => /\.png$/i.test(file))
+      .sort()
+      .map(file => fs.readFileSync(path.join(resolvedDir, file)).toString("base64"));
+    if (fixtures.length === 0) {
+      throw new Error(`IMAGE_FIXTURE_DIR contains no .png files: ${resolvedDir}`);
+    }
+    console.error(`Fixture provider loaded ${fixtures.length} image(s) from ${resolvedDir}`);
+  } else {
+    fixtures = [BUILTIN_PNG];
+  }
+
+  let next = 0;
+
+  return {
+    name: "fixture",
+    async generate({ prompt, n }: ImageGenerationParams) {
+      const data = [];
+      for (let i = 0; i < n; i++) {
+        data.push({ b64_json: fixtures[next % fixtures.length], revised_prompt: prompt });
+        next++;
+      }
+      return { created: Math.floor(Date.now() / 1000), data };
+    }
+  };
+}
@@ -0,0 +1,21 @@
+import { ImageProvider } from "../types.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createProceduralProvider } from "./procedural.js";
+import { createFixtureProvider } from "./fixture.js";
+
+const providers: Record<string, () => ImageProvider> = {
+  openai: createOpenAIProvider,
+  procedural: createProceduralProvider,
+  fixture: createFixtureProvider
+};
+
+/**
+ * Creates the image provider named by IMAGE_PROVIDER (default "openai").
+ */
+export function createImageProvider(name = process.env.IMAGE_PROVIDER || "openai"): ImageProvider {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${name}". Available: ${Object.keys(providers).join(", ")}`);
+  }
+  return factory();
+}
@@ -0,0 +1,21 @@
+import { OpenAI } from "openai";
+import { ImageProvider } from "../types.js";
+
+export function createOpenAIProvider(): ImageProvider {
+  // Check for OpenAI API key
+  const API_KEY = process.env.OPENAI_API_KEY;
+  if (!API_KEY) {
+    throw new Error("OPENAI_API_KEY environment variable is missing. Set it in the .env file, or choose another IMAGE_PROVIDER (procedural, fixture).");
+  }
+
+  console.error("API Key available, length:", API_KEY.length);
+
+  const openai = new OpenAI({
+    apiKey: API_KEY
+  });
+
+  return {
+    name: "openai",
+    generate: (params) => openai.images.generate(params)
+  };
+}
@@ -0,0 +1,107 @@
+import { ImageGenerationParams, ImageProvider } from "../types.js";
+
+// FNV-1a hash of the prompt, so the same prompt always draws the same picture
+function hashString(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32 PRNG
+function createRandom(seed: number): () => number {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hsl(hue: number, saturation: number, lightness: number): string {
+  return `hsl(${Math.round(hue) % 360}, ${Math.round(saturation)}%, ${Math.round(lightness)}%)`;
+}
+
+async function renderArtwork(prompt: string, size: string, index: number): Promise<string> {
+  // Loaded lazily so the other providers never need the native canvas build
+  const { createCanvas } = await import("canvas");
+  const [width, height] = size.split("x").map(Number);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  const random = createRandom(hashString(`${prompt}#${index}`));
+  const baseHue = random() * 360;
+
+  // Sky gradient
+  const sky = ctx.createLinearGradient(0, 0, 0, height);
+  sky.addColorStop(0, hsl(baseHue, 60, 25 + random() * 20));
+  sky.addColorStop(1, hsl(baseHue + 40, 70, 60 + random() * 20));
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, width, height);
+
+  // Sun or moon
+  ctx.fillStyle = hsl(baseHue + 180, 80, 80);
+  ctx.beginPath();
+  ctx.arc(width * (0.2 + random() * 0.6), height * (0.15 + random() * 0.25), Math.min(width, height) * (0.05 + random() * 0.08), 0, Math.PI * 2);
+  ctx.fill();
+
+  // Layered hills, darker toward the front
+  const layers = 3 + Math.floor(random() * 3);
+  for (let layer = 0; layer < layers; layer++) {
+    const baseY = height * (0.45 + (layer / layers) * 0.45);
+    const amplitude = height * (0.03 + random() * 0.08);
+    const frequency = 1 + random() * 4;
+    const phase = random() * Math.PI * 2;
+    ctx.fillStyle = hsl(baseHue + 90 + layer * 15, 40, 45 - layer * (30 / layers));
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    for (let x = 0; x <= width; x += Math.max(1, Math.floor(width / 128))) {
+      ctx.lineTo(x, baseY + Math.sin((x / width) * Math.PI * frequency + phase) * amplitude);
+    }
+    ctx.lineTo(width, height);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // Scattered shapes for texture
+  const shapes = 10 + Math.floor(random() * 30);
+  for (let i = 0; i < shapes; i++) {
+    ctx.globalAlpha = 0.15 + random() * 0.35;
+    ctx.fillStyle = hsl(baseHue + random() * 120, 70, 50 + random() * 30);
+    ctx.beginPath();
+    ctx.arc(random() * width, random() * height, Math.min(width, height) * random() * 0.04, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.globalAlpha = 1;
+
+  // Caption with the prompt so it's clear what the picture stands in for
+  const fontSize = Math.max(10, Math.round(width / 40));
+  ctx.font = `${fontSize}px sans-serif`;
+  ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+  ctx.fillRect(0, height - fontSize * 2, width, fontSize * 2);
+  ctx.fillStyle = "#ffffff";
+  ctx.textAlign = "center";
+  ctx.fillText(prompt.length > 80 ? `${prompt.substring(0, 77)}...` : prompt, width / 2, height - fontSize * 0.7);
+
+  return canvas.toBuffer("image/png").toString("base64");
+}
+
+/**
+ * Offline provider that draws prompt-seeded landscapes with canvas. Output is
+ * deterministic: the same prompt, size and index always produce the same PNG.
+ */
+export function createProceduralProvider(): ImageProvider {
+  return {
+    name: "procedural",
+    async generate({ prompt, n, size }: ImageGenerationParams) {
+      console.error(`Procedural provider drawing ${n} image(s) at ${size}`);
+      const data = [];
+      for (let i = 0; i < n; i++) {
+        data.push({ b64_json: await renderArtwork(prompt, size, i), revised_prompt: prompt });
+      }
+      return { created: Math.floor(Date.now() / 1000), data };
+    }
+  };
+}
@@ -41,4 +41,20 @@ export function isValidOpenAIImageArgs(args: unknown): args is OpenAIImageArgs {
 export interface OpenAIImageResult {
   url?: string;
   b64_json?: string;
-} 
\ No newline at end of file
+}
+
+export type ImageSize = "256x256" | "512x512" | "1024x1024" | "1792x1024" | "1024x1792";
+
+export interface ImageGenerationParams {
+  model: string;
+  prompt: string;
+  n: number;
+  size: ImageSize;
+}
+
+// An image backend. generate() resolves to an OpenAI-style images response:
+// { created, data: [{ b64_json?, url?, revised_prompt? }] }
+export interface ImageProvider {
+  name: string;
+  generate(params: ImageGenerationParams): Promise<unknown>;
+}